@@ -1,18 +1,123 @@
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
+/**
+ * Code.gs
+ *
+ * Adds the “ROC Tracker” menu to the spreadsheet and provides rebuildAll(),
+ * which runs every builder in dependency order and stops on the first
+ * failure.
+ */
+
+/**
+ * Simple trigger: adds the ROC Tracker menu when the spreadsheet opens.
+ */
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu("ROC Tracker")
+    .addItem("Rebuild All", "rebuildAll")
+    .addItem("Validate Ledger", "buildLedgerIssues")
+    .addItem("Import Broker CSV", "importBrokerCsv")
+    .addItem("Refresh Market Data", "refreshMarketData")
+    .addItem("Schedule Price Refresh", "schedulePriceRefresh")
+    .addItem("Snapshot State History", "snapshotStateHistory")
+    .addItem("Schedule Daily Snapshot", "scheduleStateSnapshot")
+    .addSeparator()
+    .addItem("1. Update Historical Tranche Metrics", "updateHistoricalTrancheMetrics")
+    .addItem("2. Build Tranche Tracker",             "buildTrancheTracker")
+    .addItem("3. Build Tranche State",               "buildTrancheState")
+    .addItem("4. Build Yield Summary",               "buildYieldSummary")
+    .addItem("5. Build Portfolio Summary",           "buildPortfolioSummary")
+    .addItem("6. Build Realized Gains",              "buildRealizedGains")
+    .addItem("7. Build Excess ROC Gain",             "buildExcessRocGain")
+    .addItem("8. Build Wash Sales",                  "buildWashSales")
+    .addItem("9. Build Income Tracker",              "buildIncomeTracker")
+    .addItem("10. Build Synthetic Dividends",        "buildSyntheticDividends")
+    .addItem("11. Build CPA Summary",                "buildCpaSummary")
+    .addSeparator()
+    .addItem("Reconcile 1099-DIV",                   "build1099Reconciliation")
+    .addItem("Estimated Tax Worksheet",              "buildEstimatedTax")
+    .addItem("Apply Final 1099 ROC %",               "applyFinalRocPct")
+    .addItem("Roll Back to Estimated ROC %",         "rollbackFinalRocPct")
+    .addToUi();
+}
+
+/**
+ * Returns the rebuild steps in dependency order:
+ *   - checkLedger_ writes LedgerIssues and stops the rebuild on blocking
+ *     ledger errors (see buildLedgerIssues).
+ *   - updateHistoricalTrancheMetrics fills WkStart/TrID/Inc/ROCAmt/TStat
+ *     on Transactions, which every other builder reads.
+ *   - buildTrancheTracker must run before buildCpaSummary, which reads
+ *     the TrancheTracker sheet.
+ * Steps that only check or fill in the ledger carry `buildsSheet: false`
+ * and are left out of the "Rebuilt N sheets" count.
+ *
+ * Built lazily (not a top-level const) because the builders live in
+ * files that load after this one.
+ */
+function getRebuildSteps_() {
+  return [
+    { name: "checkLedger",                    run: checkLedger_, buildsSheet: false },
+    { name: "updateHistoricalTrancheMetrics", run: updateHistoricalTrancheMetrics, buildsSheet: false },
+    { name: "buildTrancheTracker",            run: buildTrancheTracker },
+    { name: "buildTrancheState",              run: buildTrancheState },
+    { name: "buildYieldSummary",              run: buildYieldSummary },
+    { name: "buildPortfolioSummary",          run: buildPortfolioSummary },
+    { name: "buildRealizedGains",             run: buildRealizedGains },
+    { name: "buildExcessRocGain",             run: buildExcessRocGain },
+    { name: "buildWashSales",                 run: buildWashSales },
+    { name: "buildIncomeTracker",             run: buildIncomeTracker },
+    { name: "buildSyntheticDividends",        run: buildSyntheticDividends },
+    { name: "buildCpaSummary",                run: buildCpaSummary },
+    { name: "buildEstimatedTax",              run: buildEstimatedTax }
+  ];
+}
+
+/**
+ * Runs the given steps in order, stopping at the first one that throws.
+ *
+ * @param {{name: string, run: Function}[]} steps
+ * @returns {{ok: boolean, completed: string[], failedStep: string, error: Error}}
+ */
+function runRebuildSteps_(steps) {
+  const ss        = SpreadsheetApp.getActiveSpreadsheet();
+  const completed = [];
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    ss.toast(`Step ${i + 1} of ${steps.length}: ${step.name}`, "ROC Tracker", -1);
+    try {
+      step.run();
+    } catch (err) {
+      return { ok: false, completed, failedStep: step.name, error: err };
+    }
+    completed.push(step.name);
+  }
+  return { ok: true, completed, failedStep: "", error: null };
+}
+
+/**
+ * Menu entry: rebuilds every sheet in dependency order. On failure the
+ * remaining steps are skipped and an alert names the failed step and why.
+ */
+function rebuildAll() {
+  const ss     = SpreadsheetApp.getActiveSpreadsheet();
+  const steps  = getRebuildSteps_();
+  const result = runRebuildSteps_(steps);
+
+  if (result.ok) {
+    const built = steps.filter(s => s.buildsSheet !== false).length;
+    ss.toast(`Rebuilt ${built} sheets.`, "ROC Tracker", 5);
+    return;
+  }
+
+  const skipped = steps
+    .slice(result.completed.length + 1)
+    .map(s => s.name);
+  const message =
+    `Step "${result.failedStep}" failed:\n\n` +
+    `${result.error && result.error.message || result.error}\n\n` +
+    `Completed: ${result.completed.join(", ") || "none"}\n` +
+    `Not run: ${skipped.join(", ") || "none"}`;
+
+  ss.toast(`Rebuild stopped at ${result.failedStep}.`, "ROC Tracker", 5);
+  SpreadsheetApp.getUi().alert("Rebuild failed", message, SpreadsheetApp.getUi().ButtonSet.OK);
+}
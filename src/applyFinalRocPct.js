@@ -0,0 +1,130 @@
+/**
+ * applyFinalRocPct.gs
+ *
+ * Retroactive ROC reclassification. The RocPct on each Transactions
+ * dividend row starts as the fund's 19a-1 estimate; once the 1099 arrives,
+ * applyFinalRocPct() replaces it with the final per-symbol, per-year ROC
+ * percentage and rebuilds, so Inc/ROCAmt/IncPS/RocPS and every report
+ * downstream reflect the corrected basis.
+ *
+ * Final percentages come from a “FinalROC” sheet (Sym, TaxYear, RocPct)
+ * when present, otherwise from BrokerROC as Box3 ÷ (Box1a + Box3).
+ * The original estimate is kept in a RocPctEst audit column next to
+ * RocPct; rollbackFinalRocPct() restores it.
+ */
+function applyFinalRocPct() {
+  const ss      = SpreadsheetApp.getActiveSpreadsheet();
+  const txSheet = ss.getSheetByName("Transactions");
+  const finals  = readFinalRocPcts_(ss);
+
+  // 1) Read RocPct (+ audit column, created next to RocPct if missing)
+  const cols = ensureRocPctEstColumn_(txSheet);
+  const data = txSheet.getDataRange().getValues();
+  data.shift();
+
+  // 2) Plan the changes (see planRocReclass)
+  const changes = planRocReclass(
+    data.map(r => ({
+      type:      coerceTxValue("type",      r[cols.type]),
+      date:      coerceTxValue("date",      r[cols.date]),
+      sym:       coerceTxValue("sym",       r[cols.sym]),
+      rocPct:    coerceTxValue("rocPct",    r[cols.rocPct]),
+      rocPctEst: coerceTxValue("rocPctEst", r[cols.rocPctEst])
+    })),
+    finals
+  );
+  if (!changes.length) {
+    ss.toast("Every dividend already uses its final ROC %.", "ROC Tracker", 5);
+    return;
+  }
+
+  // 3) Write both columns in one pass each
+  const pctCol = data.map(r => [r[cols.rocPct]]);
+  const estCol = data.map(r => [r[cols.rocPctEst]]);
+  changes.forEach(c => {
+    pctCol[c.index][0] = c.rocPct;
+    estCol[c.index][0] = c.rocPctEst;
+  });
+  txSheet.getRange(2, cols.rocPct + 1, data.length, 1).setValues(pctCol);
+  txSheet.getRange(2, cols.rocPctEst + 1, data.length, 1).setValues(estCol);
+
+  // 4) Recompute the derived block and every report from the new split
+  ss.toast(`Reclassified ${changes.length} dividend rows; rebuilding…`, "ROC Tracker", 5);
+  rebuildAll();
+}
+
+/**
+ * Restores every reclassified dividend's RocPct from RocPctEst, clears the
+ * audit column and rebuilds.
+ */
+function rollbackFinalRocPct() {
+  const ss      = SpreadsheetApp.getActiveSpreadsheet();
+  const txSheet = ss.getSheetByName("Transactions");
+  const cols    = ensureRocPctEstColumn_(txSheet);
+  const data    = txSheet.getDataRange().getValues();
+  data.shift();
+
+  let restored = 0;
+  const pctCol = data.map(r => {
+    const est = r[cols.rocPctEst];
+    if (est === "" || est == null) return [r[cols.rocPct]];
+    restored++;
+    return [est];
+  });
+  if (!restored) {
+    ss.toast("No reclassified dividends to roll back.", "ROC Tracker", 5);
+    return;
+  }
+
+  txSheet.getRange(2, cols.rocPct + 1, data.length, 1).setValues(pctCol);
+  txSheet.getRange(2, cols.rocPctEst + 1, data.length, 1).clearContent();
+
+  ss.toast(`Restored ${restored} estimated ROC %; rebuilding…`, "ROC Tracker", 5);
+  rebuildAll();
+}
+
+/**
+ * Returns zero-based column indexes for Type, Date, Sym, RocPct and the
+ * RocPctEst audit column (via the Transactions schema), inserting
+ * RocPctEst right after RocPct if needed.
+ */
+function ensureRocPctEstColumn_(txSheet) {
+  const required = ["type", "date", "sym", "rocPct"];
+  const headers  = () => txSheet.getRange(1, 1, 1, txSheet.getLastColumn()).getValues()[0];
+  let cols = resolveTxColumns(headers(), required);
+
+  if (cols.rocPctEst < 0) {
+    txSheet.insertColumnAfter(cols.rocPct + 1);
+    txSheet.getRange(1, cols.rocPct + 2)
+      .setValue(TX_FIELDS.rocPctEst.header)
+      .setNote("Original 19a-1 ROC % estimate, kept when RocPct is replaced by the final 1099 figure.");
+    txSheet.getRange(2, cols.rocPct + 2, Math.max(1, txSheet.getMaxRows() - 1), 1)
+      .setNumberFormat("0.00%");
+    cols = resolveTxColumns(headers(), required);
+  }
+  return cols;
+}
+
+/**
+ * Reads final ROC percentages from “FinalROC” (Sym, TaxYear, RocPct) or,
+ * failing that, derives them from BrokerROC (see finalRocPctFromBroker).
+ */
+function readFinalRocPcts_(ss) {
+  const finalSheet = ss.getSheetByName("FinalROC");
+  if (finalSheet) {
+    return getSheetData(finalSheet).map(r => ({
+      sym:     r["Sym"],
+      taxYear: r["TaxYear"],
+      rocPct:  r["RocPct"]
+    }));
+  }
+
+  const brokerSheet = ss.getSheetByName("BrokerROC");
+  if (!brokerSheet) throw new Error('Neither "FinalROC" nor "BrokerROC" sheet found');
+  return finalRocPctFromBroker(getSheetData(brokerSheet).map(r => ({
+    sym:     r["Sym"],
+    taxYear: r["TaxYear"],
+    box1a:   r["Box1a"],
+    box3:    r["Box3"]
+  })));
+}
@@ -0,0 +1,100 @@
+/**
+ * build1099Reconciliation()
+ *
+ * Reconciles broker Form 1099-DIV figures (BrokerROC, one row per Sym and
+ * TaxYear) against per-year totals from the Transactions dividend ledger,
+ * and writes the dollar and percent differences to the “Recon1099” sheet.
+ * Any measure off by more than Settings → ReconTolerancePct (default 1%)
+ * is flagged, since the broker’s year-end ROC reclassification is the
+ * number we actually file with.
+ *
+ * BrokerROC headers: Sym, TaxYear, Box1a, Box1b, Box3 (Box1a/Box1b optional).
+ */
+function build1099Reconciliation() {
+  const ss          = SpreadsheetApp.getActiveSpreadsheet();
+  const brokerSheet = ss.getSheetByName("BrokerROC");
+  const txSheet     = ss.getSheetByName("Transactions");
+  const recSheet    = insureClearedSheet("Recon1099");
+  const tolerance   = parseFloat(getSetting("ReconTolerancePct", 0.01));
+
+  if (!brokerSheet) throw new Error('Sheet "BrokerROC" not found');
+
+  // 1) Read BrokerROC by Sym + TaxYear
+  const bData = brokerSheet.getDataRange().getValues();
+  const bHdr  = bData.shift().map(h => String(h).trim());
+  const b = {
+    sym   : findHeaderIndex(bHdr, ["Sym", "Symbol"]),
+    year  : findHeaderIndex(bHdr, ["TaxYear", "TaxYr", "Year"]),
+    box1a : findHeaderIndex(bHdr, ["Box1a", "Box 1a"]),
+    box1b : findHeaderIndex(bHdr, ["Box1b", "Box 1b"]),
+    box3  : findHeaderIndex(bHdr, ["Box3", "Box 3"])
+  };
+  ["sym", "year", "box3"].forEach(key => {
+    if (b[key] < 0) {
+      throw new Error(`BrokerROC is missing required header "${key}". Found: ${bHdr.join(", ")}`);
+    }
+  });
+  const brokerRows = bData.map(r => ({
+    sym:     r[b.sym],
+    taxYear: r[b.year],
+    box1a:   b.box1a >= 0 ? r[b.box1a] : 0,
+    box1b:   b.box1b >= 0 ? r[b.box1b] : 0,
+    box3:    r[b.box3]
+  }));
+
+  // 2) Read dividend rows from Transactions (through the schema); IRA and
+  //    Roth accounts get no 1099-DIV, so only taxable accounts count
+  const treatments = getAccountTreatments();
+  const divs = readTransactions(txSheet, ["type", "date", "sym", "dist", "inc", "rocAmt"])
+    .rows
+    .filter(r => r.type === "dividend" && isTaxableAccount(r.account, treatments));
+
+  // 3) Compare (see reconcile1099)
+  const notesMap = {
+    TaxYr:       "Tax year of the 1099-DIV",
+    Sym:         "Ticker symbol",
+    Box1a:       "Box 1a total ordinary dividends (BrokerROC)",
+    LedgerInc:   "Sum of Inc on Transactions dividend rows for the year (taxable accounts)",
+    IncDiff:     "LedgerInc − Box1a",
+    IncDiffPct:  "IncDiff ÷ Box1a",
+    Box1b:       "Box 1b qualified dividends (reference only; EstimatedTax uses Box1b ÷ Box1a when rows have no QualPct)",
+    Box3:        "Box 3 nondividend distributions / ROC (BrokerROC)",
+    LedgerROC:   "Sum of ROCAmt on Transactions dividend rows for the year (taxable accounts)",
+    RocDiff:     "LedgerROC − Box3",
+    RocDiffPct:  "RocDiff ÷ Box3",
+    BrokerDist:  "Box1a + Box3",
+    LedgerDist:  "Sum of Dist on Transactions dividend rows for the year (taxable accounts)",
+    DistDiff:    "LedgerDist − BrokerDist",
+    DistDiffPct: "DistDiff ÷ BrokerDist",
+    Flag:        `⚠️ when a difference exceeds Settings → ReconTolerancePct (now ${(tolerance * 100).toFixed(2)}%), or no 1099 row exists`
+  };
+  const keys   = Object.keys(notesMap);
+  const recs   = reconcile1099(brokerRows, divs, { tolerancePct: tolerance });
+  const output = recs.map(r => keys.map(k => r[k]));
+
+  // 4) Write & format output
+  recSheet.getRange(1, 1, 1, keys.length).setValues([keys]);
+  if (output.length) {
+    recSheet.getRange(2, 1, output.length, keys.length).setValues(output);
+
+    const fmt = {
+      TaxYr: "0",
+      Box1a: "$#,##0.00", LedgerInc: "$#,##0.00", IncDiff: "$#,##0.00",
+      Box1b: "$#,##0.00", Box3: "$#,##0.00", LedgerROC: "$#,##0.00", RocDiff: "$#,##0.00",
+      BrokerDist: "$#,##0.00", LedgerDist: "$#,##0.00", DistDiff: "$#,##0.00",
+      IncDiffPct: "0.00%", RocDiffPct: "0.00%", DistDiffPct: "0.00%"
+    };
+    keys.forEach((h, i) => {
+      if (fmt[h]) recSheet.getRange(2, i + 1, output.length).setNumberFormat(fmt[h]);
+    });
+
+    // Highlight flagged rows
+    const bgs = recs.map(r => Array(keys.length).fill(r.Flag ? "#ffcccc" : "#ffffff"));
+    recSheet.getRange(2, 1, output.length, keys.length).setBackgrounds(bgs);
+  }
+
+  addHeaderNotes(recSheet, notesMap);
+  filterHeaders(recSheet);
+  autoSizeAllColumns(recSheet, 4);
+  freezeHeaders(recSheet);
+}
@@ -1,6 +1,7 @@
 /**
  * Builds the CPA Summary sheet by reconciling BrokerROC, CpaNotes,
- * TrancheTracker and Transactions. Wraps CPA_Note and Summary
+ * TrancheTracker and Transactions, counting only taxable accounts (IRA and
+ * Roth accounts on the Accounts sheet are left out). Wraps CPA_Note and Summary
  * cells to avoid horizontal scrolling, and adds hover-notes to all headers.
  */
 function buildCpaSummary() {
@@ -17,12 +18,19 @@ function buildCpaSummary() {
   }
   summarySheet.clear();
 
-  // Build lookup maps
-  const brokerBox3Map    = buildNoteMap(brokerSheet, "Sym",    "Box3");
+  // Build lookup maps. BrokerROC has one row per Sym + TaxYear and the
+  // other columns here are all-years totals, so Box3 is summed to match
+  // (Recon1099 has the per-year figures). The tranche engine runs once
+  // for both ExcessROC and wash sales.
+  const treatments       = getAccountTreatments();
+  const state            = computeTrancheState(readTrancheLedger_(txSheet));
+  const brokerBox3Map    = buildNoteMap(brokerSheet, "Sym",    "Box3", true);
   const brokerNoteMap    = buildNoteMap(brokerSheet, "Sym",    "Note");
   const cpaNoteMap       = buildCpaNoteMap(cpaSheet);
-  const trancheTrackerIncome  = buildTrancheTrackerMap(synthSheet);
-  const actualRocMap     = buildTransactionsRocMap(txSheet);
+  const trancheTrackerIncome  = buildTrancheTrackerMap(synthSheet, treatments);
+  const actualRocMap     = buildTransactionsRocMap(txSheet, treatments);
+  const excessRocMap     = buildExcessRocMap(state, treatments);
+  const washSaleMap      = buildWashSaleMap(state);
 
   // Union & sort all symbols
   const allSyms = Array.from(new Set([
@@ -30,7 +38,9 @@ function buildCpaSummary() {
     ...Object.keys(brokerNoteMap),
     ...Object.keys(cpaNoteMap),
     ...Object.keys(trancheTrackerIncome),
-    ...Object.keys(actualRocMap)
+    ...Object.keys(actualRocMap),
+    ...Object.keys(excessRocMap),
+    ...Object.keys(washSaleMap)
   ])).sort();
 
   // Build output rows
@@ -39,9 +49,15 @@ function buildCpaSummary() {
     const synthTot  = trancheTrackerIncome[sym]?.Inc || 0;
     const synthRoc  = trancheTrackerIncome[sym]?.ROCamt || 0;
     const actualRoc = actualRocMap[sym]       || 0;
+    const excessRoc = excessRocMap[sym]       || 0;
+    const washLoss  = washSaleMap[sym]        || 0;
     const brokerNt  = brokerNoteMap[sym]      || "No broker note";
     const cpaNt     = cpaNoteMap[sym]         || "No CPA note";
-    const flag      = (synthRoc > synthTot) ? "⚠️ ROC > Inc" : "";
+    const flag      = [
+      synthRoc > synthTot ? "⚠️ ROC > Inc" : "",
+      excessRoc > 0       ? `⚠️ Excess ROC $${excessRoc.toFixed(2)} (cap gain)` : "",
+      washLoss > 0        ? `⚠️ Wash sale $${washLoss.toFixed(2)} loss disallowed` : ""
+    ].filter(Boolean).join("; ");
 
     return [
       sym,
@@ -49,10 +65,12 @@ function buildCpaSummary() {
       synthTot,
       synthRoc,
       actualRoc,
+      excessRoc,
+      washLoss,
       flag,
       brokerNt,
       cpaNt,
-      `${sym}: Box3=${box3}, SynthROC=${synthRoc}, ActualROC=${actualRoc}, ${brokerNt} | ${cpaNt}`
+      `${sym}: Box3=${box3}, SynthROC=${synthRoc}, ActualROC=${actualRoc}, ExcessROC=${excessRoc}, WashDisallowed=${washLoss}, ${brokerNt} | ${cpaNt}`
     ];
   });
 
@@ -63,7 +81,9 @@ function buildCpaSummary() {
     "Inc",             // Total income from TrancheTracker
     "TrancheTrackerROC",// Total ROCAmt from TrancheTracker
     "TransactionsROC", // ROC computed from Transactions
-    "BasisAdjFlag",    // Warning flag if ROC > income
+    "ExcessROC",       // ROC received beyond zero basis (capital gain)
+    "WashDisallowed",  // Loss disallowed by wash sales
+    "BasisAdjFlag",    // Warning flags: ROC > income, excess ROC
     "BrokerNote",      // Notes from BrokerROC tab
     "CPA_Note",        // Notes from CpaNotes tab
     "Summary"          // Combined summary string
@@ -73,11 +93,13 @@ function buildCpaSummary() {
   // Add hover-notes to headers
   const headerNotes = {
     Sym:             "Ticker symbol (Sym)",
-    Box3:            "Box 3 non-dividend distributions from BrokerROC tab",
+    Box3:            "Box 3 non-dividend distributions from BrokerROC tab, summed across tax years",
     Inc:             "Sum of Inc from TrancheTracker tab",
     TrancheTrackerROC:"Sum of ROCAmt from TrancheTracker tab",
     TransactionsROC:  "Sum of ROCAmt from Transactions tab",
-    BasisAdjFlag:    "⚠️ if TrancheTracker ROC exceeds TrancheTracker income",
+    ExcessROC:       "ROC received after tranche basis reached zero; capital gain in the year received (see ExcessROCGain)",
+    WashDisallowed:  "Loss disallowed as wash sales and moved into replacement tranche basis (see WashSales)",
+    BasisAdjFlag:    "⚠️ if TrancheTracker ROC exceeds TrancheTracker income, any tranche received ROC beyond zero basis, or a loss was disallowed as a wash sale",
     BrokerNote:      "Note column from BrokerROC tab",
     CPA_Note:        "Aggregated CPA_Note values from CpaNotes tab",
     Summary:         "Concatenated summary of values and notes"
@@ -92,9 +114,9 @@ function buildCpaSummary() {
       .getRange(2, 1, output.length, headers.length)
       .setValues(output);
 
-    // Wrap text in the CPA_Note (col 8) and Summary (col 9) columns
+    // Wrap text in the CPA_Note (col 10) and Summary (col 11) columns
     summarySheet
-      .getRange(2, 8, output.length, 2)
+      .getRange(2, 10, output.length, 2)
       .setWrap(true);
   }
 
@@ -160,13 +182,13 @@ function buildCpaNoteMap(sheet) {
  * Reads { Sym, Inc, ROCamt } from TrancheTracker,
  * summing Inc and ROCamt per symbol.
  */
-function buildTrancheTrackerMap(sheet) {
+function buildTrancheTrackerMap(sheet, treatments) {
   const rows = getSheetData(sheet);
   return rows.reduce((map, r) => {
     const sym    = r["Sym"];
     const inc = Number(r["Inc"]) || 0;
     const rocAmt = Number(r["ROCAmt"]) || 0;
-    if (!sym) return map;
+    if (!sym || !isTaxableAccount(r["Account"], treatments)) return map;
     if (!map[sym]) map[sym] = { Inc: 0, ROCamt: 0 };
     map[sym].Inc += inc;
     map[sym].ROCamt += rocAmt;
@@ -176,21 +198,49 @@ function buildTrancheTrackerMap(sheet) {
 
 
 /**
- * Reads { Sym, RocAmount } from Transactions,
- * summing RocAmount per symbol.
+ * Reads { Sym, ROCAmt } from Transactions (through the schema),
+ * summing ROCAmt per symbol over taxable accounts.
  */
-function buildTransactionsRocMap(sheet) {
-  const rows = getSheetData(sheet);
+function buildTransactionsRocMap(sheet, treatments) {
+  const rows = readTransactions(sheet, ["sym", "rocAmt"]).rows;
   return rows.reduce((map, r) => {
-    const sym = r["Sym"] || r["Symbol"];
-    const v   = Number(r["ROCAmt"]) || 0;
-    if (!sym) return map;
+    const sym = r.sym;
+    const v   = Number(r.rocAmt) || 0;
+    if (!sym || !isTaxableAccount(r.account, treatments)) return map;
     map[sym] = (map[sym] || 0) + v;
     return map;
   }, {});
 }
 
 
+/**
+ * Sums ROC received beyond zero basis per symbol in taxable accounts,
+ * from computeTrancheState() output (the same tranche engine as
+ * buildTrancheState).
+ */
+function buildExcessRocMap(state, treatments) {
+  return state.excessRoc
+    .filter(e => isTaxableAccount(e.Account, treatments))
+    .reduce((map, e) => {
+      map[e.Sym] = (map[e.Sym] || 0) + e.ExcessROC;
+      return map;
+    }, {});
+}
+
+
+/**
+ * Sums wash-sale disallowed losses per symbol from computeTrancheState()
+ * output (see detectWashSales).
+ */
+function buildWashSaleMap(state) {
+  const wash = detectLedgerWashSales_(state);
+  return wash.washSales.reduce((map, w) => {
+    map[w.Sym] = (map[w.Sym] || 0) + w.Disallowed;
+    return map;
+  }, {});
+}
+
+
 /**
  * Helper: returns an array of objects keyed by header.
  */
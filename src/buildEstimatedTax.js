@@ -0,0 +1,145 @@
+/**
+ * buildEstimatedTax.gs
+ *
+ * Populates the “EstimatedTax” worksheet: taxable distribution income
+ * (Inc, taxable accounts only) per IRS estimated-tax period — Jan–Mar,
+ * Apr–May, Jun–Aug, Sep–Dec — the liability at the marginal rates in
+ * Settings, payments made from the “EstPayments” sheet, and the suggested
+ * next payment (see estimatedTaxWorksheet).
+ *
+ * Settings (rates as 0.22 or 22%):
+ *   EstTaxFedOrdinaryRate   federal rate on ordinary dividends (default 22%)
+ *   EstTaxFedQualifiedRate  federal rate on qualified dividends (default 15%)
+ *   EstTaxStateRate         state rate on all dividends (default 0%)
+ *
+ * The qualified share comes from Transactions → QualPct, else from
+ * BrokerROC Box1b ÷ Box1a for that symbol and year; otherwise income is
+ * treated as ordinary.
+ *
+ * EstPayments headers: Date, Amount, TaxYr, Period, Note. TaxYr/Period are
+ * optional; without them a payment counts toward the next period due.
+ */
+function buildEstimatedTax() {
+  const ss       = SpreadsheetApp.getActiveSpreadsheet();
+  const txSheet  = ss.getSheetByName("Transactions");
+  const estSheet = insureClearedSheet("EstimatedTax");
+
+  // 1) Rates
+  const rateSetting = (key, fallback) => {
+    const r = parseRate(getSetting(key, fallback));
+    if (isNaN(r) || r < 0 || r >= 1) {
+      throw new Error(`Settings → ${key} must be a rate such as 0.22 or 22%; got "${getSetting(key, "")}"`);
+    }
+    return r;
+  };
+  const rates = {
+    fedOrdinary:  rateSetting("EstTaxFedOrdinaryRate", 0.22),
+    fedQualified: rateSetting("EstTaxFedQualifiedRate", 0.15),
+    state:        rateSetting("EstTaxStateRate", 0)
+  };
+
+  // 2) Taxable-account dividends, payments and the broker's qualified split
+  const treatments = getAccountTreatments();
+  const divs = readTransactions(txSheet, ["type", "date", "sym", "dist", "inc", "rocAmt"])
+    .rows
+    .filter(r => r.type === "dividend")
+    .map(r => Object.assign({}, r, { taxable: isTaxableAccount(r.account, treatments) }));
+
+  const brokerSheet = ss.getSheetByName("BrokerROC");
+  const qualShare   = brokerSheet
+    ? qualifiedShareFromBroker(getSheetData(brokerSheet).map(r => ({
+        sym:     r["Sym"],
+        taxYear: r["TaxYear"],
+        box1a:   r["Box1a"],
+        box1b:   r["Box1b"]
+      })))
+    : {};
+
+  const rows = estimatedTaxWorksheet(divs, readEstPayments_(), Object.assign({ qualShare }, rates));
+
+  // 3) Assemble output rows
+  const pct      = r => `${(r * 100).toFixed(2)}%`;
+  const notesMap = {
+    TaxYr:       "Tax year",
+    Period:      "Estimated-tax period: 1 = Jan–Mar, 2 = Apr–May, 3 = Jun–Aug, 4 = Sep–Dec",
+    From:        "First day of the period",
+    To:          "Last day of the period",
+    DueDt:       "Payment due date (weekend/holiday shifts not applied)",
+    OrdInc:      "Ordinary dividend income (Inc) received in the period, taxable accounts; includes Inc with no known qualified split",
+    QualInc:     "Qualified part of Inc (Transactions → QualPct, else BrokerROC Box1b ÷ Box1a)",
+    TaxableInc:  "OrdInc + QualInc",
+    FedTax:      `OrdInc × ${pct(rates.fedOrdinary)} + QualInc × ${pct(rates.fedQualified)} (Settings → EstTaxFedOrdinaryRate / EstTaxFedQualifiedRate)`,
+    StateTax:    `TaxableInc × ${pct(rates.state)} (Settings → EstTaxStateRate)`,
+    EstTax:      "FedTax + StateTax",
+    CumEstTax:   "EstTax so far this tax year",
+    Paid:        "Payments applied to the period (EstPayments)",
+    CumPaid:     "Payments so far this tax year",
+    Balance:     "CumEstTax − CumPaid; negative = paid ahead",
+    NextPayment: "Suggested payment for the next period due: the Balance through that period, not below 0"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys].concat(rows.map(r => keys.map(k => r[k])));
+
+  // 4) Write & format output
+  estSheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(estSheet, notesMap);
+  filterHeaders(estSheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    ["From", "To", "DueDt"].forEach(name =>
+      estSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("yyyy-MM-dd")
+    );
+    [
+      "OrdInc", "QualInc", "TaxableInc", "FedTax", "StateTax", "EstTax",
+      "CumEstTax", "Paid", "CumPaid", "Balance", "NextPayment"
+    ].forEach(name =>
+      estSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("$#,##0.00")
+    );
+
+    const next = rows.findIndex(r => r.NextPayment !== "");
+    if (next >= 0) {
+      estSheet
+        .getRange(next + 2, 1, 1, keys.length)
+        .setBackground("#fff2cc")
+        .setFontWeight("bold");
+    }
+  }
+
+  autoSizeAllColumns(estSheet, 4);
+  freezeHeaders(estSheet);
+}
+
+/**
+ * Reads “EstPayments” (Date, Amount, TaxYr, Period, Note), creating it with
+ * headers on first use.
+ */
+function readEstPayments_() {
+  const sheet = getOrCreateSheet("EstPayments");
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, 5).setValues([["Date", "Amount", "TaxYr", "Period", "Note"]]);
+    addHeaderNotes(sheet, {
+      Date:   "Date the estimated payment was made",
+      Amount: "Amount paid (federal + state)",
+      TaxYr:  "Optional: tax year the payment is for",
+      Period: "Optional: estimated-tax period 1–4 it is for; blank = the next period due after Date",
+      Note:   "Free text"
+    });
+    freezeHeaders(sheet);
+    return [];
+  }
+
+  return getSheetData(sheet).map(r => ({
+    date:   r["Date"],
+    amount: r["Amount"],
+    taxYr:  r["TaxYr"],
+    period: r["Period"]
+  }));
+}
@@ -0,0 +1,70 @@
+/**
+ * buildExcessRocGain.gs
+ *
+ * Populates the “ExcessROCGain” sheet: one dated row for every dividend
+ * whose return-of-capital share exceeded a tranche’s remaining adjusted
+ * basis. Basis stops at zero; the excess is a capital gain in the year it
+ * was received. IRA/Roth accounts (Accounts sheet) are left out.
+ */
+function buildExcessRocGain() {
+  const ss      = SpreadsheetApp.getActive();
+  const txSheet = ss.getSheetByName("Transactions");
+  const xsSheet = insureClearedSheet("ExcessROCGain");
+
+  // 1) Run the tranche engine; excess ROC events come back in state.excessRoc
+  const state      = computeTrancheState(readTrancheLedger_(txSheet));
+  const treatments = getAccountTreatments();
+
+  // 2) Assemble output rows
+  const notesMap = {
+    TaxYr:     "Calendar year the distribution was received",
+    Date:      "Distribution date",
+    Sym:       "Ticker symbol",
+    Account:   "Taxable account holding the tranche (blank = default)",
+    TrID:      "Tranche whose basis was exhausted",
+    ROCAlloc:  "ROC allocated to the tranche from this distribution",
+    BasisLeft: "Adjusted basis remaining before this distribution",
+    ExcessROC: "ROCAlloc − BasisLeft; reportable as capital gain",
+    Term:      "Holding period of the tranche on the distribution date"
+  };
+  const keys  = Object.keys(notesMap);
+  const out   = [keys];
+  const buyDt = state.tranches.reduce((m, t) => ((m[t.ID] = t.BuyDt), m), {});
+
+  state.excessRoc
+    .filter(e => isTaxableAccount(e.Account, treatments))
+    .forEach(e => {
+      const row = Object.assign({}, e, {
+        TaxYr: e.Date.getFullYear(),
+        Date:  formatDate_(e.Date),
+        Term:  holdingTerm(buyDt[e.TrID], e.Date)
+      });
+      out.push(keys.map(k => row[k]));
+    });
+
+  // 3) Write & format output
+  xsSheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(xsSheet, notesMap);
+  filterHeaders(xsSheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    xsSheet
+      .getRange(2, colOf("Date"), out.length - 1)
+      .setNumberFormat("yyyy-MM-dd");
+    ["ROCAlloc", "BasisLeft", "ExcessROC"].forEach(name =>
+      xsSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("$#,##0.00")
+    );
+    xsSheet
+      .getRange(2, colOf("TaxYr"), out.length - 1)
+      .setNumberFormat("0");
+  }
+
+  autoSizeAllColumns(xsSheet, 4);
+  freezeHeaders(xsSheet);
+}
@@ -2,8 +2,15 @@
  * buildIncomeTracker()
  *
  * Aggregates weekly and year-to-date distributions, taxable income, and
- * return of capital metrics per symbol, then writes to the IncomeTracker sheet
- * using the renamed headers and removed columns as requested.
+ * return of capital metrics per symbol and account, then writes to the
+ * IncomeTracker sheet using the renamed headers and removed columns as
+ * requested. Distributions in IRA/Roth accounts (Accounts sheet) count
+ * toward Dist but go to Sheltered rather than Inc/Roc.
+ *
+ * The same measures by calendar month, quarter and year, with change from
+ * the previous period, go to the IncomeMonthly, IncomeQuarterly and
+ * IncomeAnnual companion sheets (see aggregateIncomePeriods). Those are
+ * assigned by distribution date, not by week start.
  */
 function buildIncomeTracker() {
   const ss           = SpreadsheetApp.getActiveSpreadsheet();
@@ -17,6 +24,7 @@ function buildIncomeTracker() {
   const headers = [
     "Wk",         // Week start date (yyyy-MM-dd)
     "Sym",        // Ticker symbol
+    "Account",    // Account (blank = default taxable account)
     "Dist",       // Distribution this week, by symbol
     "DistWkTot",  // Distribution this week, all symbols
     "DistYTD",    // YTD distribution, by symbol
@@ -29,7 +37,12 @@ function buildIncomeTracker() {
     "RocWkTot",   // ROC this week, all symbols
     "RocYTD",     // YTD ROC, by symbol
     "RocYtdAll",  // YTD ROC, all symbols
-    "ShElig"      // Shares eligible
+    "ShElig",     // Shares eligible
+    "Cash",       // Paid in cash this week, by symbol
+    "Reinv",      // Reinvested (DRIP) this week, by symbol
+    "CashYTD",    // YTD paid in cash, by symbol
+    "ReinvYTD",   // YTD reinvested, by symbol
+    "Sheltered"   // Received in tax-advantaged accounts this week
   ];
 
   // 2) Clear sheet & write headers
@@ -43,6 +56,7 @@ function buildIncomeTracker() {
   const notes = {
     Wk:         "Week start date (formatted yyyy-MM-dd)",
     Sym:        "Ticker symbol of the dividend event",
+    Account:    "Account that received the distribution (blank = default taxable account)",
     Dist:       "Sum of dividend amounts for this symbol during the week",
     DistWkTot:  "Sum of dividend amounts across all symbols during the week",
     DistYTD:     "Cumulative dividends for this symbol year-to-date",
@@ -55,120 +69,48 @@ function buildIncomeTracker() {
     RocWkTot:   "Sum of return of capital across all symbols during the week",
     RocYTD:     "Cumulative return of capital for this symbol year-to-date",
     RocYtdAll:  "Cumulative return of capital across all symbols year-to-date",
-    ShElig:     "Total shares eligible at the moment of dividend"
+    ShElig:     "Total shares eligible at the moment of dividend",
+    Cash:       "Part of Dist paid in cash this week (Dist − Reinv)",
+    Reinv:      "Part of Dist reinvested this week (ReinvShr × ReinvPx)",
+    CashYTD:    "Cumulative cash distributions for this symbol year-to-date",
+    ReinvYTD:   "Cumulative reinvested distributions for this symbol year-to-date",
+    Sheltered:  "Distribution received in an IRA/Roth account (Accounts sheet); excluded from Inc and Roc"
   };
   headers.forEach((h, i) => {
     incSheet.getRange(1, i + 1).setNote(notes[h] || "");
   });
 
-  // 4) Read Transactions data
-  const raw  = txSheet.getDataRange().getValues();
-  const hdrs = raw.shift().map(h => String(h).trim());
-  const data = raw;
-
-  // 5) Build a robust, lowercase header index
-  const idx = hdrs.reduce((map, h, i) => {
-    map[h.toLowerCase()] = i;
-    return map;
-  }, {});
-
-  // 6) Reference the real headers from your sheet
-  const iType          = idx["type"];      // "Type"
-  const iWeekStart     = idx["wkstart"];   // "WkStart"
-  const iSym           = idx["sym"];       // "Sym"
-  const iDivTotal      = idx["dist"];      // "Dist"
-  const iRocAmount     = idx["rocamt"];    // "ROCAmt"
-  const iTaxableIncome = idx["inc"];       // "Inc"
-  const iTotalShares   = idx["totshr"];    // "TotShr"
-
-  // 7) Fail fast if any required column isn’t found
-  [
-    "type", "wkstart", "sym",
-    "dist", "rocamt", "inc", "totshr"
-  ].forEach(key => {
-    if (idx[key] == null) {
-      throw new Error(`Cannot find column “${key}” in Transactions headers.`);
-    }
-  });
-
-  // 8) Aggregate per (Week, Symbol)
-  const agg = {};
-  data.forEach(row => {
-    if (String(row[iType]).toLowerCase() !== "dividend") return;
-
-    // normalize week
-    let wkdt = row[iWeekStart];
-    if (!(wkdt instanceof Date)) wkdt = new Date(wkdt);
-    const wk = Utilities.formatDate(wkdt, tz, "yyyy-MM-dd");
-
-    const sym   = String(row[iSym]).trim();
-    const dist  = parseFloat(String(row[iDivTotal]).replace(/[^0-9.\-]/g, "")) || 0;
-    const roc   = parseFloat(String(row[iRocAmount]).replace(/[^0-9.\-]/g, "")) || 0;
-    const tax   = parseFloat(String(row[iTaxableIncome]).replace(/[^0-9.\-]/g, "")) || (dist - roc);
-    const shEl  = parseFloat(row[iTotalShares]) || 0;
-
-    const key = `${wk}|${sym}`;
-    if (!agg[key]) {
-      agg[key] = { Wk: wk, Sym: sym, Dist: 0, Inc: 0, Roc: 0, ShElig: 0 };
-    }
-    agg[key].Dist   += dist;
-    agg[key].Inc    += tax;
-    agg[key].Roc    += roc;
-    agg[key].ShElig += shEl;
-  });
-
-  // 9) Weekly totals across all symbols
-  const distWkAll = {};
-  const incWkAll  = {};
-  const rocWkAll  = {};
-  Object.values(agg).forEach(e => {
-    distWkAll[e.Wk] = (distWkAll[e.Wk] || 0) + e.Dist;
-    incWkAll[e.Wk]  = (incWkAll[e.Wk]  || 0) + e.Inc;
-    rocWkAll[e.Wk]  = (rocWkAll[e.Wk]  || 0) + e.Roc;
-  });
-
-  // 10) Year-to-date accumulators & build output
-  const ytdDistAll  = {};
-  const ytdIncAll   = {};
-  const ytdRocAll   = {};
-  const ytdDistSym  = {};
-  const ytdIncSym   = {};
-  const ytdRocSym   = {};
-  const output      = [];
-
-  Object.values(agg)
-    .sort((a, b) => new Date(a.Wk) - new Date(b.Wk))
-    .forEach(e => {
-      const yr     = new Date(e.Wk).getFullYear();
-      const symKey = `${yr}|${e.Sym}`;
-
-      ytdDistAll[yr]      = (ytdDistAll[yr]   || 0) + e.Dist;
-      ytdIncAll[yr]       = (ytdIncAll[yr]    || 0) + e.Inc;
-      ytdRocAll[yr]       = (ytdRocAll[yr]    || 0) + e.Roc;
-
-      ytdDistSym[symKey]  = (ytdDistSym[symKey] || 0) + e.Dist;
-      ytdIncSym[symKey]   = (ytdIncSym[symKey]  || 0) + e.Inc;
-      ytdRocSym[symKey]   = (ytdRocSym[symKey]  || 0) + e.Roc;
-
-      output.push([
-        e.Wk,
-        e.Sym,
-        e.Dist,
-        distWkAll[e.Wk],
-        ytdDistSym[symKey],
-        ytdDistAll[yr],
-        e.Inc,
-        incWkAll[e.Wk],
-        ytdIncSym[symKey],
-        ytdIncAll[yr],
-        e.Roc,
-        rocWkAll[e.Wk],
-        ytdRocSym[symKey],
-        ytdRocAll[yr],
-        e.ShElig
-      ]);
+  // 4–7) Read Transactions through the schema (fails fast on missing or
+  //      ambiguous headers)
+  const data = readTransactions(txSheet, [
+    "type", "wkStart", "sym", "dist", "rocAmt", "inc", "totShr"
+  ]).rows;
+
+  // 8) Normalize dividend rows to week keys
+  const treatments = getAccountTreatments();
+  const divs = data
+    .filter(row => row.type === "dividend")
+    .map(row => {
+      let wkdt = row.wkStart;
+      if (!(wkdt instanceof Date)) wkdt = new Date(wkdt);
+      return {
+        wk:      Utilities.formatDate(wkdt, tz, "yyyy-MM-dd"),
+        date:    row.date,
+        sym:     row.sym,
+        account: row.account,
+        taxable: isTaxableAccount(row.account, treatments),
+        dist:    row.dist,
+        rocAmt:  row.rocAmt,
+        inc:     row.inc,
+        totShr:  row.totShr,
+        reinv:   (parseFloat(row.reinvShr) || 0) * (parseFloat(row.reinvPx) || 0)
+      };
     });
 
+  // 9–10) Weekly, weekly-all and YTD aggregates (see aggregateIncomeWeeks)
+  const output = aggregateIncomeWeeks(divs)
+    .map(e => headers.map(h => e[h]));
+
   // 11) Write output rows under headers
   if (output.length) {
     incSheet
@@ -185,7 +127,10 @@ function buildIncomeTracker() {
     IncYTD:     "$#,##0.00", IncYtdAll:  "$#,##0.00",
     Roc:        "$#,##0.00", RocWkTot:  "$#,##0.00",
     RocYTD:     "$#,##0.00", RocYtdAll:  "$#,##0.00",
-    ShElig:     "0.00"
+    ShElig:     "0.00",
+    Cash:       "$#,##0.00", Reinv:     "$#,##0.00",
+    CashYTD:    "$#,##0.00", ReinvYTD:  "$#,##0.00",
+    Sheltered:  "$#,##0.00"
   };
   headers.forEach((h, i) => {
     if (fmt[h] && output.length) {
@@ -238,4 +183,69 @@ if (output.length) {
   filterHeaders(incSheet);
   autoSizeAllColumns(incSheet, 4);
   freezeHeaders(incSheet);
+
+  // 15) Calendar rollups from the same dividend rows
+  writeIncomeRollup_("IncomeMonthly",   "month",   divs);
+  writeIncomeRollup_("IncomeQuarterly", "quarter", divs);
+  writeIncomeRollup_("IncomeAnnual",    "year",    divs);
+}
+
+/**
+ * Writes one calendar rollup of the IncomeTracker dividend rows (see
+ * aggregateIncomePeriods) to `sheetName`.
+ */
+function writeIncomeRollup_(sheetName, period, divs) {
+  const sheet    = insureClearedSheet(sheetName);
+  const notesMap = {
+    Period:        `Calendar ${period} of the distribution date`,
+    Sym:           "Ticker symbol",
+    Account:       "Account that received the distribution (blank = default taxable account)",
+    Dist:          `Distributions this ${period}, by symbol; 0 the ${period} after a symbol stops paying`,
+    DistChg:       `Dist minus the previous ${period}'s`,
+    DistChgPct:    `DistChg ÷ the previous ${period}'s Dist (blank when it was 0)`,
+    Inc:           `Taxable income this ${period}, by symbol`,
+    IncChg:        `Inc minus the previous ${period}'s`,
+    Roc:           `Return of capital this ${period}, by symbol`,
+    RocChg:        `Roc minus the previous ${period}'s`,
+    Cash:          "Part of Dist paid in cash",
+    Reinv:         "Part of Dist reinvested (ReinvShr × ReinvPx)",
+    Sheltered:     "Distribution received in an IRA/Roth account; excluded from Inc and Roc",
+    DistAll:       `Distributions this ${period}, all symbols and accounts`,
+    DistAllChg:    `DistAll minus the previous ${period}'s`,
+    DistAllChgPct: `DistAllChg ÷ the previous ${period}'s DistAll (blank when it was 0)`,
+    IncAll:        `Taxable income this ${period}, all symbols and accounts`,
+    RocAll:        `Return of capital this ${period}, all symbols and accounts`
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys].concat(aggregateIncomePeriods(divs, period).map(r => keys.map(k => r[k])));
+
+  // Period keys stay text ("2026-03" / "2026" would otherwise become a date / number)
+  sheet
+    .getRange(1, 1, out.length, 1)
+    .setNumberFormat("@");
+  sheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(sheet, notesMap);
+  filterHeaders(sheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    keys
+      .filter(k => !["Period", "Sym", "Account"].includes(k) && !k.endsWith("Pct"))
+      .forEach(name =>
+        sheet
+          .getRange(2, colOf(name), out.length - 1)
+          .setNumberFormat("$#,##0.00")
+      );
+    ["DistChgPct", "DistAllChgPct"].forEach(name =>
+      sheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("0.00%")
+    );
+  }
+
+  autoSizeAllColumns(sheet, 4);
+  freezeHeaders(sheet);
 }
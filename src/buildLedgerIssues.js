@@ -0,0 +1,70 @@
+/**
+ * buildLedgerIssues.gs
+ *
+ * Validates the Transactions ledger and lists every problem found on the
+ * “LedgerIssues” sheet, one row per issue with the sheet row and column to
+ * fix (see findLedgerIssues). Errors are blocking: when Settings →
+ * BlockOnLedgerErrors is on (the default), rebuildAll stops here instead of
+ * building reports from a ledger it would silently misread.
+ *
+ * @returns {{errors: number, warnings: number}}
+ */
+function buildLedgerIssues() {
+  const ss        = SpreadsheetApp.getActive();
+  const txSheet   = ss.getSheetByName("Transactions");
+  const issSheet  = insureClearedSheet("LedgerIssues");
+
+  // 1) Read the ledger through the schema and check it
+  const rows   = readTransactions(txSheet, ["date", "type", "sym", "shr", "price", "dist"]).rows;
+  const issues = findLedgerIssues(rows, {
+    lotMethod:  getSetting("LotMethod", "FIFO"),
+    treatments: getAccountTreatments()
+  });
+
+  // 2) Assemble output rows
+  const notesMap = {
+    Row:      "Transactions sheet row",
+    Column:   "Transactions column to fix (blank when the whole row is affected)",
+    Severity: "Error = blocks rebuildAll (Settings → BlockOnLedgerErrors); Warning = reported only",
+    Problem:  "What is wrong",
+    Value:    "The cell value as read"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys].concat(issues.map(i => keys.map(k =>
+    k === "Value" && i.Value instanceof Date && !isNaN(i.Value) ? formatDate_(i.Value) : String(i[k])
+  )));
+
+  // 3) Write & format output
+  issSheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  if (issues.length) {
+    const bgs = issues.map(i => Array(keys.length).fill(i.Severity === "Error" ? "#ffcccc" : "#fff2cc"));
+    issSheet.getRange(2, 1, issues.length, keys.length).setBackgrounds(bgs);
+  }
+
+  addHeaderNotes(issSheet, notesMap);
+  filterHeaders(issSheet);
+  autoSizeAllColumns(issSheet, 4);
+  freezeHeaders(issSheet);
+
+  const errors = issues.filter(i => i.Severity === "Error").length;
+  return { errors, warnings: issues.length - errors };
+}
+
+/**
+ * Rebuild step: validates the ledger and throws when blocking errors are
+ * found, unless Settings → BlockOnLedgerErrors is FALSE.
+ */
+function checkLedger_() {
+  const result = buildLedgerIssues();
+  const block  = String(getSetting("BlockOnLedgerErrors", true)).toUpperCase() !== "FALSE";
+
+  if (result.errors && block) {
+    throw new Error(
+      `Transactions has ${result.errors} blocking error(s) and ${result.warnings} warning(s); ` +
+      `see the LedgerIssues sheet. Set Settings → BlockOnLedgerErrors to FALSE to build anyway.`
+    );
+  }
+}
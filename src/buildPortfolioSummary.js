@@ -0,0 +1,113 @@
+/**
+ * buildPortfolioSummary.gs
+ *
+ * Populates the “PortfolioSummary” sheet: money-weighted (XIRR) and
+ * time-weighted (TWR) returns for the whole portfolio and for each
+ * symbol, over YTD, trailing 1-year and since-inception windows (see
+ * computeWindowReturns). Holdings are valued from PriceHistory closes
+ * where available, else ledger trade prices, else MarketData's current
+ * price (see makePriceLookup). All accounts are included; returns are
+ * before tax.
+ */
+function buildPortfolioSummary() {
+  const ss      = SpreadsheetApp.getActive();
+  const txSheet = ss.getSheetByName("Transactions");
+  const pSheet  = insureClearedSheet("PortfolioSummary");
+  const today   = new Date();
+
+  // 1) Ledger, price history and the price lookup built from them
+  const rows = readTransactions(txSheet, ["date", "type", "sym", "shr", "price", "dist"]).rows
+    .filter(r => r.date instanceof Date && !isNaN(r.date));
+  const hSheet  = ss.getSheetByName("PriceHistory");
+  const history = hSheet && hSheet.getLastRow() > 1
+    ? hSheet.getRange(2, 1, hSheet.getLastRow() - 1, 3).getValues()
+    : [];
+  const priceAt = makePriceLookup(history, rows, getPriceService().priceOf, today);
+
+  // 2) One row per scope × window
+  const notesMap = {
+    Scope:         "Portfolio, or a single symbol across all accounts",
+    Window:        "YTD, 1Y (trailing 365 days) or Inception",
+    Start:         "Window start (no earlier than the scope's first transaction)",
+    End:           "Window end (today)",
+    StartValue:    "Value of the holdings at Start; treated as invested on that day",
+    Bought:        "Buys during the window (cash in)",
+    Sold:          "Sale and split cash-in-lieu proceeds during the window (cash out)",
+    Distributions: "All distributions during the window, cash and reinvested",
+    CashDist:      "Distributions paid in cash (cash out); reinvested (DRIP) amounts stay invested",
+    EndValue:      "Value of the holdings at End; treated as withdrawn on that day",
+    Gain:          "EndValue + Sold + CashDist − Bought − StartValue",
+    XIRR:          "Money-weighted annualized return of the cash flows above",
+    TWR:           "Time-weighted return over the window, chained between cash-flow dates (not annualized)",
+    TWRAnnual:     "TWR annualized; only for windows of a year or more",
+    Note:          "Symbols with no price at all, valued at zero"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys];
+
+  const dayOf     = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const yearAgo   = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
+  const windows   = [
+    { name: "YTD",       from: new Date(today.getFullYear(), 0, 1) },
+    { name: "1Y",        from: yearAgo },
+    { name: "Inception", from: null }
+  ];
+  const symbols   = rows.map(r => r.sym).filter((s, i, a) => s && a.indexOf(s) === i).sort();
+  const scopes    = [""].concat(symbols);
+
+  scopes.forEach(sym => {
+    const scoped    = sym ? rows.filter(r => r.sym === sym) : rows;
+    if (!scoped.length) return;
+    const inception = dayOf(new Date(Math.min.apply(null, scoped.map(r => +r.date))));
+
+    windows.forEach(w => {
+      const start = w.from && w.from > inception ? w.from : inception;
+      const res   = computeWindowReturns(rows, { priceAt, start, end: today, sym });
+      const days  = (dayOf(today) - start) / 86400000;
+      const row   = Object.assign({}, res, {
+        Scope:     sym || "Portfolio",
+        Window:    w.name,
+        Start:     formatDate_(start),
+        End:       formatDate_(today),
+        XIRR:      isNaN(res.XIRR) ? "" : res.XIRR,
+        TWR:       isNaN(res.TWR) ? "" : res.TWR,
+        TWRAnnual: !isNaN(res.TWR) && days >= 365 ? Math.pow(1 + res.TWR, 365 / days) - 1 : "",
+        Note:      res.missing.length ? `No price for ${res.missing.join(", ")}; valued at 0` : ""
+      });
+      out.push(keys.map(k => row[k]));
+    });
+  });
+
+  // 3) Write & format output
+  pSheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(pSheet, notesMap);
+  filterHeaders(pSheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    ["Start", "End"].forEach(name =>
+      pSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("yyyy-MM-dd")
+    );
+    ["StartValue", "Bought", "Sold", "Distributions", "CashDist", "EndValue", "Gain"].forEach(name =>
+      pSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("$#,##0.00")
+    );
+    ["XIRR", "TWR", "TWRAnnual"].forEach(name =>
+      pSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("0.00%")
+    );
+    pSheet
+      .getRange(2, 1, 3, keys.length)
+      .setFontWeight("bold");
+  }
+
+  autoSizeAllColumns(pSheet, 4);
+  freezeHeaders(pSheet);
+}
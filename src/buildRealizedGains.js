@@ -0,0 +1,92 @@
+/**
+ * buildRealizedGains.gs
+ *
+ * Populates the “RealizedGains” sheet with one row per sell lot: proceeds,
+ * the ROC-adjusted basis relieved from the tranche, realized gain/loss and
+ * the short/long-term holding period—the per-lot detail the CPA asks for
+ * each tax year. Wash sales (see detectWashSales) add the disallowed loss
+ * and the basis carried in from earlier washes, giving TaxableGain.
+ * Sales in IRA/Roth accounts (Accounts sheet) are left out.
+ */
+function buildRealizedGains() {
+  const ss       = SpreadsheetApp.getActive();
+  const txSheet  = ss.getSheetByName("Transactions");
+  const rgSheet  = insureClearedSheet("RealizedGains");
+
+  // 1) Run the tranche engine; each sell lot comes back in state.realized
+  const state = computeTrancheState(readTrancheLedger_(txSheet));
+  const wash       = detectLedgerWashSales_(state);
+  const treatments = getAccountTreatments();
+
+  // 2) Assemble output rows, oldest sale first
+  const notesMap = {
+    TaxYr:        "Calendar year of the sale",
+    SellDt:       "Date shares were sold",
+    Sym:          "Ticker symbol",
+    Account:      "Taxable account the shares were held in (blank = default)",
+    TrID:         "Tranche the shares were relieved from",
+    BuyDt:        "Tranche purchase date",
+    ShSold:       "Shares sold from this tranche",
+    SellPx:       "Sale price per share",
+    Proceeds:     "ShSold × SellPx",
+    CostBasis:    "Original cost of the shares sold",
+    ROCAdj:       "Return of capital previously allocated to the shares sold",
+    AdjBasis:     "CostBasis − ROCAdj",
+    RealizedGain: "Proceeds − AdjBasis",
+    HeldDays:     "Days from BuyDt to SellDt",
+    Term:         "Long if sold more than one year after BuyDt (or the wash-sale HoldFrom date), else Short",
+    WashDisallowed:"Loss disallowed as a wash sale (replacement bought within 30 days; see WashSales)",
+    WashBasisAdj: "Disallowed loss from an earlier wash sale carried into the basis of these shares",
+    TaxableGain:  "RealizedGain − WashBasisAdj + WashDisallowed"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys];
+
+  state.realized
+    .map((r, i) => Object.assign({}, r, wash.lots[i]))
+    .filter(r => isTaxableAccount(r.Account, treatments))
+    .sort((a, b) => a.SellDt - b.SellDt)
+    .forEach(r => {
+      const row = Object.assign({}, r, {
+        TaxYr:  r.SellDt.getFullYear(),
+        SellDt: formatDate_(r.SellDt),
+        BuyDt:  formatDate_(r.BuyDt)
+      });
+      out.push(keys.map(k => row[k]));
+    });
+
+  // 3) Write & format output
+  rgSheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(rgSheet, notesMap);
+  filterHeaders(rgSheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    ["SellDt", "BuyDt"].forEach(name =>
+      rgSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("yyyy-MM-dd")
+    );
+    ["SellPx", "Proceeds", "CostBasis", "ROCAdj", "AdjBasis", "RealizedGain",
+     "WashDisallowed", "WashBasisAdj", "TaxableGain"]
+      .forEach(name =>
+        rgSheet
+          .getRange(2, colOf(name), out.length - 1)
+          .setNumberFormat("$#,##0.00")
+      );
+    rgSheet
+      .getRange(2, colOf("ShSold"), out.length - 1)
+      .setNumberFormat("0.0000");
+    ["TaxYr", "HeldDays"].forEach(name =>
+      rgSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("0")
+    );
+  }
+
+  autoSizeAllColumns(rgSheet, 4);
+  freezeHeaders(rgSheet);
+}
@@ -1,13 +1,15 @@
 /**
  * Builds a synthetic dividends report from the updated Transactions sheet.
- * Accommodates the new RocPct header and blank spacer column.
+ * Reads Transactions through the shared schema (readTransactions), so it
+ * runs against the same headers as every other builder.
  */
 function buildSyntheticDividends() {
   const dividendNotesMap = {
     DivDt:    "Date of dividend distribution",
     TrID:     "Tranche ID receiving dividend",
     Sym:      "Symbol of underlying ETF",
-    ShRem:    "Remaining shares eligible for dividend",
+    Account:  "Account holding the tranche (blank = default taxable account)",
+    ShRem:    "Remaining shares eligible for dividend (split-adjusted)",
     IncPS:    "Income per share (taxable slice)",
     DivPS:    "Full dividend per share (IncPS/(1−ROCpct))",
     TotInc:   "Total dividend (ShRem × DivPS)",
@@ -21,61 +23,82 @@ function buildSyntheticDividends() {
   const txSheet  = ss.getSheetByName("Transactions");
   const divSheet = insureClearedSheet("SyntheticDividends");
 
-  // 1) Grab all data from Transactions
-  const txData  = txSheet.getDataRange().getValues();
-  const headers = txData[0];
-  const rows    = txData.slice(1);
-
-  // 2) Map headers → indices (zero-based)
-  const idx = {
-    type:           headers.indexOf("Type"),
-    date:           headers.indexOf("Date"),
-    sym:            headers.indexOf("Symbol"),
-    trancheID:      headers.indexOf("TrancheID"),
-    shares:         headers.indexOf("Shares"),
-    incomePerShare: headers.indexOf("IncomePerShare"),
-    rocPercent:     headers.indexOf("RocPct"),
-    trancheStatus:  headers.indexOf("TrancheStatus")
-  };
-
-  // 3) Validate required columns
-  Object.entries(idx).forEach(([key, i]) => {
-    if (i < 0) throw new Error(`Missing required header: ${key}`);
+  // 1–3) Read Transactions through the schema (fails fast on missing or
+  //      ambiguous headers)
+  const rows = readTransactions(txSheet, [
+    "type", "date", "sym", "trID", "shr", "incPS", "rocPct"
+  ]).rows;
+
+  // 4) Partition into buys/sells/splits/dividends (a reinvested dividend
+  //    is also a buy of its DRIP tranche); sells split across
+  //    tranches (LotAlloc) count against each tranche they relieved, and
+  //    a split's cash-in-lieu (its LotAlloc) counts as a sell after the
+  //    split is applied
+  const dividendRows = rows.filter(r => r.type === "dividend");
+  const buyRows      = rows
+    .filter(r => r.type === "buy")
+    .concat(dividendRows
+      .filter(r => parseFloat(r.reinvShr) > 0)
+      .map(r => ({ date: r.date, sym: r.sym, account: r.account, trID: r.trID, shr: r.reinvShr, row: r.row, dripOf: r })));
+  const sellParts    = [];
+  rows.filter(r => r.type === "sell").forEach(s => {
+    const parts = parseLotAlloc(s.lotAlloc) || [{ trID: s.trID, shr: parseFloat(s.shr) || 0 }];
+    parts.forEach(p => sellParts.push({ trID: p.trID, shr: p.shr, date: new Date(s.date), seq: s.row }));
+  });
+  const splits = [];
+  rows.filter(r => r.type === "split").forEach(s => {
+    splits.push({ sym: s.sym, account: s.account || "", ratio: parseSplitRatio(s.ratio), date: new Date(s.date), seq: s.row });
+    (parseLotAlloc(s.lotAlloc) || []).forEach(p =>
+      sellParts.push({ trID: p.trID, shr: p.shr, date: new Date(s.date), seq: s.row + 0.5 }));
   });
-
-  // 4) Partition into buys/sells/dividends
-  const dividendRows = rows.filter(r => String(r[idx.type]).toLowerCase() === "dividend");
-  const buyRows      = rows.filter(r => String(r[idx.type]).toLowerCase() === "buy");
-  const sellRows     = rows.filter(r => String(r[idx.type]).toLowerCase() === "sell");
 
   // 5) Prepare output
   const headerKeys = Object.keys(dividendNotesMap);
   const output     = [];
 
-  // 6) Build each synthetic‐dividend line
+  // 6) Build each synthetic‐dividend line. With an ExDate, a tranche must
+  //    be bought before it and shares sold on or after it still count;
+  //    without one, the dividend date is the cutoff (inclusive).
   dividendRows.forEach(div => {
-    const divDate        = new Date(div[idx.date]);
+    const divDate        = new Date(div.date);
+    const exDate         = div.exDate ? new Date(div.exDate) : null;
     const formattedDate  = Utilities.formatDate(divDate, ss.getSpreadsheetTimeZone(), "yyyy-MM-dd");
-    const sym            = String(div[idx.sym]).trim();
-    const incomePerShare = parseFloat(div[idx.incomePerShare]) || 0;
-    const rocPct         = parseFloat(div[idx.rocPercent])   || 0;
+    const sym            = div.sym;
+    const account        = div.account || "";
+    const incomePerShare = parseFloat(div.incPS)  || 0;
+    const rocPct         = parseFloat(div.rocPct) || 0;
     const divisor        = 1 - rocPct;
     const divPerShare    = divisor > 0 ? incomePerShare / divisor : 0;
+    const heldBy         = dt => exDate ? dt < exDate : dt <= divDate;
 
     buyRows.forEach(buy => {
-      const buyDate      = new Date(buy[idx.date]);
-      const buySym       = String(buy[idx.sym]).trim();
-      const trancheID    = buy[idx.trancheID];
-      const sharesBought = parseFloat(buy[idx.shares]) || 0;
-
-      if (buySym !== sym || buyDate > divDate) return;
-
-      // Compute sold shares up to divDate
-      const soldShares = sellRows
-        .filter(s => s[idx.trancheID] === trancheID && new Date(s[idx.date]) <= divDate)
-        .reduce((sum, s) => sum + (parseFloat(s[idx.shares]) || 0), 0);
+      const buyDate      = new Date(buy.date);
+      const trancheID    = buy.trID;
+      const sharesBought = parseFloat(buy.shr) || 0;
+
+      if (buy.sym !== sym || (buy.account || "") !== account || !heldBy(buyDate) || buy.dripOf === div) return;
+
+      // Replay sells and splits up to the cutoff, in date order, so a
+      // split rescales whatever the tranche still held at that point
+      const events = sellParts
+        .filter(s => s.trID === trancheID && heldBy(s.date))
+        .concat(splits.filter(s =>
+          s.sym === sym && (!s.account || s.account === account) && s.ratio > 0 && heldBy(s.date) &&
+          (s.date > buyDate || (s.date - buyDate === 0 && s.seq > buy.row))))
+        .sort((a, b) => a.date - b.date || a.seq - b.seq);
+
+      let held       = sharesBought;
+      let soldShares = 0;
+      events.forEach(e => {
+        if (e.ratio) {
+          held *= e.ratio;
+        } else {
+          held       -= e.shr;
+          soldShares += e.shr;
+        }
+      });
 
-      const remShares = Math.max(0, sharesBought - soldShares);
+      const remShares = Math.max(0, Math.round(held * 1e6) / 1e6);
       if (remShares === 0) return;
 
       // Determine tranche status
@@ -95,6 +118,7 @@ function buildSyntheticDividends() {
         DivDt:    formattedDate,
         TrID:     trancheID,
         Sym:      sym,
+        Account:  account,
         ShRem:    remShares,
         IncPS:    incomePerShare,
         DivPS:    divPerShare,
@@ -3,171 +3,59 @@
  *
  * Populates the “TrancheState” sheet with up-to-date position data,
  * adjusts basis for return-of-capital, computes unrealized gain/loss,
- * and applies conditional formatting.
+ * yields, total return and payback, and applies conditional formatting.
  */
 function buildTrancheState() {
   const ss         = SpreadsheetApp.getActive();
-  const txSheet    = ss.getSheetByName('Transactions');
   const stateSheet = insureClearedSheet('TrancheState');
-  const today      = new Date();
-
-  // 1) Read & normalize headers
-  const allRows = txSheet.getDataRange().getValues();
-  const rawHdr  = allRows.shift();
-  const hdr     = rawHdr.map(h => String(h || '').trim());
-  const idx     = hdr.reduce((map, h, i) => ((map[h] = i), map), {});
-
-  // 2) Validate required columns
-  ['Type','TrID','Sym','Date','Shr','Price','ROCAmt','Inc']
-    .forEach(col => {
-      if (!(col in idx)) {
-        throw new Error(
-          `Missing Transactions header "${col}". Found: [${Object.keys(idx).join(', ')}]`
-        );
-      }
-    });
-
-  // 3) Initialize tranche & distribution maps
-  const trancheMap = {};  // { TrID → tranche state }
-  const rocMap     = {};  // { TrID → cumulative ROC }
-  const incMap     = {};  // { TrID → cumulative non-ROC income }
-
-  // 4) Bucket each transaction row
-  allRows.forEach(row => {
-    const type = String(row[idx.Type] || '').toLowerCase();
-
-    // 4a) Dividends distribute ROC + income across all open tranches of that symbol
-    if (type === 'dividend') {
-      const rawROC = parseFloat(String(row[idx.ROCAmt]).replace(/[^0-9.\-]/g, '')) || 0;
-      const rawInc = parseFloat(String(row[idx.Inc]).replace(/[^0-9.\-]/g, ''))   || 0;
-      const sym    = row[idx.Sym];
-
-      const openIDs = Object.keys(trancheMap).filter(id => {
-        const t   = trancheMap[id];
-        const rem = t.ShBuy - t.ShSold;
-        return t.Sym === sym && rem > 0;
-      });
-      const totalRem = openIDs.reduce(
-        (sum, id) => sum + (trancheMap[id].ShBuy - trancheMap[id].ShSold),
-        0
-      );
-
-      if (totalRem > 0) {
-        openIDs.forEach(id => {
-          const t     = trancheMap[id];
-          const rem   = t.ShBuy - t.ShSold;
-          const share = rem / totalRem;
-          rocMap[id]  = (rocMap[id]  || 0) + rawROC * share;
-          incMap[id]  = (incMap[id]  || 0) + rawInc * share;
-        });
-      }
-      return;
-    }
-
-    // 4b) Buys & sells (requires TrID)
-    const tid = row[idx.TrID];
-    if (!tid) return;
-
-    if (!trancheMap[tid]) {
-      trancheMap[tid] = {
-        ID:        tid,
-        Sym:       row[idx.Sym],
-        BuyDt:     null,
-        ShBuy:     0,
-        BuyPx:     0,
-        ShSold:    0,
-        SellPx:    0,
-        CostBasis: 0,
-        Status:    ''
-      };
-    }
-    const t = trancheMap[tid];
-
-    if (type === 'buy') {
-      const qty   = +row[idx.Shr] || 0;
-      const price = parseFloat(String(row[idx.Price]).replace(/[^0-9.\-]/g, '')) || 0;
-      t.ShBuy      += qty;
-      t.CostBasis  += qty * price;
-      t.BuyPx       = price || t.BuyPx;
-      const dt      = new Date(row[idx.Date]);
-      t.BuyDt       = !t.BuyDt || dt < t.BuyDt ? dt : t.BuyDt;
-      t.Status      = row[idx.TStat] || t.Status;
-    }
-    else if (type === 'sell') {
-      const qty   = +row[idx.Shr] || 0;
-      const price = parseFloat(String(row[idx.Price]).replace(/[^0-9.\-]/g, '')) || 0;
-      t.ShSold    += qty;
-      t.SellPx     = price || t.SellPx;
-      t.Status     = row[idx.TStat] || t.Status;
-    }
-  });
 
-  // 5) Assemble output rows
+  // 1–3) Read Transactions, bucket buys/sells into tranches, prorate
+  //      dividends and value them (see trancheStateRows_)
+  const rows = trancheStateRows_(new Date());
+
+  // 4) Assemble output rows
   const notesMap = {
     ID:                "Unique tranche identifier",
     Sym:               "Ticker symbol",
+    Account:           "Account holding the tranche (blank = default taxable account)",
     BuyDt:             "Date shares were purchased",
-    ShBuy:             "Number of shares bought",
-    BuyPx:             "Average purchase price",
-    ShSold:            "Shares sold",
-    SellPx:            "Average sale price",
+    ShBuy:             "Number of shares bought (split-adjusted)",
+    BuyPx:             "Average purchase price (split-adjusted)",
+    ShSold:            "Shares sold, including split cash-in-lieu (split-adjusted)",
+    SellPx:            "Average sale price (split-adjusted)",
     ShRem:             "Remaining shares",
-    CurrPx:            "Current market price",
+    CurrPx:            "Current market price (MarketData → CurrPx); NoPrice when the symbol is missing from MarketData or its price is blank/zero",
+    PxAsOf:            "When CurrPx was last updated (MarketData → LastUpdate)",
+    StalePx:           "STALE when an open tranche's price is older than Settings → MaxPriceAgeHours (default 72), so MktValue and UnrealizedGainLoss are unreliable; NoPrice when there is no price, and those columns are left blank",
     CostBasis:         "PurchasePrice × SharesBought",
-    ROC:               "Return of capital allocated to tranche",
-    AdjBasis:          "CostBasis − ROC",
+    ROC:               "Return of capital allocated to tranche and applied to basis (stops at zero basis)",
+    ExcessROC:         "ROC received after basis reached zero; taxable as capital gain (see ExcessROCGain)",
+    WashAdj:           "Disallowed wash-sale loss carried into the open shares' basis (see WashSales)",
+    AdjBasis:          "Cost of the remaining shares − the ROC still applied to them, floored at 0, + WashAdj",
     CumIncome:         "Non-ROC distributions allocated to tranche",
     MktValue:          "ShRem × CurrPx",
     UnrealizedGainLoss:"ShRem × CurrPx − AdjBasis",
     PctToExit:         "PctToExit = (AdjBasis − MktValue) / AdjBasis; 0% = break-even, 100% = full loss of principal",
+    Dist4W:            "Distributions (ROC + income) allocated to the tranche in the trailing 4 weeks",
+    Dist52W:           "Distributions allocated to the tranche in the trailing 52 weeks",
+    AnnualDist:        "Annualized distribution rate: ShRem × the symbol's average per-share payment over the trailing 52 weeks × its payment frequency (weekly, monthly, quarterly, …)",
+    YieldOnCost:       "AnnualDist ÷ original cost of the remaining shares",
+    YieldOnAdjBasis:   "AnnualDist ÷ AdjBasis (the remaining shares' adjusted basis); blank once ROC has taken basis to zero",
+    CurrentYield:      "AnnualDist ÷ MktValue (yield at CurrPx); blank without a price",
+    TotalReturn:       "MktValue + sale proceeds + all distributions (ROC and income) − cost; unlike PctToExit, counts CumIncome",
+    TotalReturnPct:    "TotalReturn ÷ total cost of the shares bought",
+    XIRR:              "Annualized IRR of the dated cash flows: buys, distributions, sales and today's MktValue",
+    PaybackDt:         "When distributions + sale proceeds reached the cost; a future date is projected at the AnnualDist pace",
     Status:            "Open, Partial, or Closed",
-    HeldDays:          "Days since BuyDt"
+    HeldDays:          "Days since BuyDt",
+    HoldFrom:          "Holding period start for wash-sale replacement shares (tacked on from the shares sold)"
   };
   const keys = Object.keys(notesMap);
   const out  = [keys];
 
-  Object.values(trancheMap).forEach(t => {
-    const rem        = t.ShBuy - t.ShSold;
-    const roc        = rocMap[t.ID] || 0;
-    const inc        = incMap[t.ID] || 0;
-    const costBasis  = t.CostBasis;
-    const adjBasis   = costBasis - roc;
-    const currPx     = priceGet(t.Sym);
-    const mktValue   = rem * currPx;
-    const unrealGain = mktValue - adjBasis;
-
-    // PctToExit ignores CumIncome, clamped 0–1
-    const rawPct    = adjBasis ? (adjBasis - mktValue) / adjBasis : 0;
-    const pctToExit = Math.max(0, Math.min(1, rawPct));
-
-    const heldDays = t.BuyDt
-      ? Math.floor((today - t.BuyDt) / 86400000)
-      : '';
-
-    const row = {
-      ID:                t.ID,
-      Sym:               t.Sym,
-      BuyDt:             formatDate_(t.BuyDt),
-      ShBuy:             t.ShBuy,
-      BuyPx:             t.BuyPx,
-      ShSold:            t.ShSold,
-      SellPx:            t.SellPx || '',
-      ShRem:             rem,
-      CurrPx:            currPx,
-      CostBasis:         costBasis,
-      ROC:               roc,
-      AdjBasis:          adjBasis,
-      CumIncome:         inc,
-      MktValue:          mktValue,
-      UnrealizedGainLoss:unrealGain,
-      PctToExit:         pctToExit,
-      Status:            t.Status,
-      HeldDays:          heldDays
-    };
-    out.push(keys.map(k => row[k]));
-  });
+  rows.forEach(row => out.push(keys.map(k => row[k])));
 
-  // 6) Write & format output
+  // 5) Write & format output
   stateSheet.clearContents();
   stateSheet
     .getRange(1, 1, out.length, keys.length)
@@ -183,14 +71,20 @@ function buildTrancheState() {
   const fmtInt  = "0";
 
   // Date formatting
+  ["BuyDt", "HoldFrom", "PaybackDt"].forEach(name =>
+    stateSheet
+      .getRange(2, colOf(name), out.length - 1)
+      .setNumberFormat(fmtDate)
+  );
   stateSheet
-    .getRange(2, colOf("BuyDt"), out.length - 1)
-    .setNumberFormat(fmtDate);
+    .getRange(2, colOf("PxAsOf"), out.length - 1)
+    .setNumberFormat("yyyy-MM-dd HH:mm");
 
   // Currency formatting
   [
-    "BuyPx", "SellPx", "CostBasis", "ROC",
-    "AdjBasis", "CumIncome", "MktValue", "UnrealizedGainLoss"
+    "BuyPx", "SellPx", "CostBasis", "ROC", "ExcessROC", "WashAdj",
+    "AdjBasis", "CumIncome", "MktValue", "UnrealizedGainLoss",
+    "Dist4W", "Dist52W", "AnnualDist", "TotalReturn"
   ].forEach(name =>
     stateSheet
       .getRange(2, colOf(name), out.length - 1)
@@ -205,15 +99,20 @@ function buildTrancheState() {
   );
 
   // Percentage formatting
-  stateSheet
-    .getRange(2, colOf("PctToExit"), out.length - 1)
-    .setNumberFormat(fmtPct);
+  [
+    "PctToExit", "YieldOnCost", "YieldOnAdjBasis", "CurrentYield",
+    "TotalReturnPct", "XIRR"
+  ].forEach(name =>
+    stateSheet
+      .getRange(2, colOf(name), out.length - 1)
+      .setNumberFormat(fmtPct)
+  );
 
   // Layout refinements
   autoSizeAllColumns(stateSheet, 4);
   freezeHeaders(stateSheet);
 
-  // 7) Apply green-gradient to PctToExit (white @ 0%, green @ 100%)
+  // 6) Apply green-gradient to PctToExit (white @ 0%, green @ 100%)
   const pctCol = colOf("PctToExit");
   const lastRow = stateSheet.getLastRow();
   if (lastRow > 1) {
@@ -235,4 +134,54 @@ function buildTrancheState() {
     rules.push(pctRule);
     stateSheet.setConditionalFormatRules(rules);
   }
+
+  // 7) Highlight missing/stale prices and say which symbols need attention
+  const flagged = rows.filter(r => r.StalePx);
+  if (flagged.length) {
+    const bgs = rows.map(r => [r.StalePx ? "#ffcccc" : null]);
+    ["CurrPx", "StalePx"].forEach(name =>
+      stateSheet.getRange(2, colOf(name), rows.length, 1).setBackgrounds(bgs)
+    );
+    const symsOf = flag => flagged
+      .filter(r => r.StalePx === flag)
+      .map(r => r.Sym)
+      .filter((s, i, a) => a.indexOf(s) === i);
+    const parts = [];
+    if (symsOf("NoPrice").length) parts.push(`No price for ${symsOf("NoPrice").join(", ")} (add to MarketData)`);
+    if (symsOf("STALE").length)   parts.push(`Stale prices for ${symsOf("STALE").join(", ")} (refresh MarketData)`);
+    ss.toast(parts.join("; ") + ".", "ROC Tracker", 10);
+  }
+}
+
+
+/**
+ * TrancheState rows as of `today`: the tranche engine over Transactions,
+ * valued with the run's price service and adjusted for wash sales.
+ * Shared by buildTrancheState() and snapshotStateHistory() so the history
+ * always matches the sheet.
+ */
+function trancheStateRows_(today) {
+  const txSheet = SpreadsheetApp.getActive().getSheetByName('Transactions');
+  const state   = computeTrancheState(readTrancheLedger_(txSheet));
+  const prices  = getPriceService();
+
+  return buildTrancheStateRows(state, {
+    priceOf:          prices.priceOf,
+    today:            today,
+    formatDate:       formatDate_,
+    wash:             detectLedgerWashSales_(state),
+    priceUpdatedOf:   prices.updatedOf,
+    maxPriceAgeHours: parseFloat(getSetting("MaxPriceAgeHours", 72))
+  });
+}
+
+/**
+ * Reads Transactions (through the schema) into the row shape
+ * computeTrancheState() expects. Shared by buildTrancheState(),
+ * buildRealizedGains() and the other tranche-engine reports.
+ */
+function readTrancheLedger_(txSheet) {
+  return readTransactions(txSheet, [
+    "type", "trID", "sym", "date", "shr", "price", "rocAmt", "inc"
+  ]).rows;
 }
@@ -6,12 +6,12 @@
  * Applies group-based zebra striping and highlights any “Partial” status cells in red.
  *
  * Output columns (in order):
- *   WkStart, DistDt, TrID, CostBasis,
+ *   WkStart, DistDt, Sym, Account, TrID, CostBasis,
  *   DistPS, IncPS, RocPS, Inc, ROCAmt,
  *   TotShr, RemShr, TStat
  *
  * Assumes helper functions:
- *   findHeaderIndex(), insureClearedSheet(),
+ *   readTransactions(), insureClearedSheet(),
  *   filterHeaders(), autoSizeAllColumns(), freezeHeaders()
  */
 function buildTrancheTracker() {
@@ -20,68 +20,49 @@ function buildTrancheTracker() {
   const outSheet  = insureClearedSheet("TrancheTracker");
   const tz        = ss.getSpreadsheetTimeZone();
 
-  // 1) Read data and headers
-  const data      = txSheet.getDataRange().getValues();
-  const headersIn = data.shift();
-  const rows      = data;
-
-  // 2) Map headers to indices
-  const idx = {
-    type     : findHeaderIndex(headersIn, ["Type"]),
-    sym      : findHeaderIndex(headersIn, ["Sym","Symbol"]),
-    date     : findHeaderIndex(headersIn, ["Date","DistDt"]),
-    wkStart  : findHeaderIndex(headersIn, ["WkStart","WeekStart","WeekStarting"]),
-    trID     : findHeaderIndex(headersIn, ["TrID","TrancheID"]),
-    costBase : findHeaderIndex(headersIn, ["CostBasis","Cost Basis"]),
-    totShr   : findHeaderIndex(headersIn, ["TotShr","TotalShares"]),
-    remShr   : findHeaderIndex(headersIn, ["RemShr","ShRem"]),
-    distPS   : findHeaderIndex(headersIn, ["DistPS"]),
-    incPS    : findHeaderIndex(headersIn, ["IncPS"]),
-    rocPS    : findHeaderIndex(headersIn, ["RocPS"]),
-    incAmt   : findHeaderIndex(headersIn, ["Inc","TaxInc"]),
-    rocAmt   : findHeaderIndex(headersIn, ["ROCAmt"]),
-    tStat    : findHeaderIndex(headersIn, ["TStat","TrStatus","TrStat"])
-  };
-
-  // 3) Validate headers
-  Object.entries(idx).forEach(([key, col]) => {
-    if (col < 0) {
-      throw new Error(`Missing required header "${key}". Found: ${headersIn.join(", ")}`);
-    }
-  });
+  // 1–3) Read Transactions through the schema (fails fast on missing or
+  //      ambiguous headers)
+  const rows = readTransactions(txSheet, [
+    "type", "sym", "date", "wkStart", "trID", "costBasis", "totShr",
+    "remShr", "distPS", "incPS", "rocPS", "inc", "rocAmt", "tStat"
+  ]).rows;
 
-  // 4) Split buys vs. dividends
+  // 4) Split buys (including DRIP tranches opened by reinvested
+  //    dividends) vs. dividends
   const buys = rows
-    .filter(r => String(r[idx.type]).toLowerCase() === "buy")
+    .filter(r => r.type === "buy" || (r.type === "dividend" && parseFloat(r.reinvShr) > 0))
     .map(r => ({
-      sym      : r[idx.sym],
-      trID     : r[idx.trID],
-      costBase : r[idx.costBase],
-      totShr   : parseFloat(r[idx.totShr]) || 0,
-      remShr   : parseFloat(r[idx.remShr]) || 0,
-      tStat    : r[idx.tStat]
+      sym      : r.sym,
+      account  : r.account || "",
+      trID     : r.trID,
+      costBase : r.costBasis,
+      totShr   : parseFloat(r.totShr) || 0,
+      remShr   : parseFloat(r.remShr) || 0,
+      tStat    : r.tStat
     }));
 
-  const divs = rows.filter(r => String(r[idx.type]).toLowerCase() === "dividend");
+  const divs = rows.filter(r => r.type === "dividend");
 
   // 5) Cross-join dividends with open tranches
   const output = [];
   divs.forEach(rDiv => {
-    const sym      = rDiv[idx.sym];
-    const wkStart  = Utilities.formatDate(new Date(rDiv[idx.wkStart]), tz, "yyyy-MM-dd");
-    const distDt   = Utilities.formatDate(new Date(rDiv[idx.date]),    tz, "yyyy-MM-dd");
-    const distPS   = parseFloat(rDiv[idx.distPS]) || 0;
-    const incPS    = parseFloat(rDiv[idx.incPS])  || 0;
-    const rocPS    = parseFloat(rDiv[idx.rocPS])  || 0;
+    const sym      = rDiv.sym;
+    const account  = rDiv.account || "";
+    const wkStart  = Utilities.formatDate(new Date(rDiv.wkStart), tz, "yyyy-MM-dd");
+    const distDt   = Utilities.formatDate(new Date(rDiv.date),    tz, "yyyy-MM-dd");
+    const distPS   = parseFloat(rDiv.distPS) || 0;
+    const incPS    = parseFloat(rDiv.incPS)  || 0;
+    const rocPS    = parseFloat(rDiv.rocPS)  || 0;
 
     buys.forEach(b => {
-      if (b.sym === sym && b.remShr > 0 && String(b.tStat).toLowerCase() === "open") {
+      if (b.sym === sym && b.account === account && b.remShr > 0 && String(b.tStat).toLowerCase() === "open") {
         const incAmt = incPS * b.remShr;
         const rocAmt = rocPS * b.remShr;
         output.push([
           wkStart,
           distDt,
           sym,          // ← new Sym column
+          account,
           b.trID,
           b.costBase || 0,
           distPS,
@@ -97,7 +78,7 @@ function buildTrancheTracker() {
     });
   });
 
-  // 6) Sort by WkStart → DistDt → Sym → TrID
+  // 6) Sort by WkStart → DistDt → Sym → Account → TrID
   output.sort((a, b) => {
     const d1 = new Date(a[0]) - new Date(b[0]);
     if (d1) return d1;
@@ -105,7 +86,9 @@ function buildTrancheTracker() {
     if (d2) return d2;
     const s  = String(a[2]).localeCompare(String(b[2]));
     if (s) return s;
-    return String(a[3]).localeCompare(String(b[3]));
+    const ac = String(a[3]).localeCompare(String(b[3]));
+    if (ac) return ac;
+    return String(a[4]).localeCompare(String(b[4]));
   });
 
   // 7) Write headers and data
@@ -113,6 +96,7 @@ function buildTrancheTracker() {
     "WkStart",
     "DistDt",
     "Sym",       // ← include Sym in headers
+    "Account",   // account holding the tranche (blank = default)
     "TrID",
     "CostBasis",
     "DistPS",
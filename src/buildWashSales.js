@@ -0,0 +1,91 @@
+/**
+ * buildWashSales.gs
+ *
+ * Populates the “WashSales” sheet: one row for every loss sale matched
+ * with a replacement tranche of the same symbol bought within 30 days
+ * before or after it (see detectWashSales). The disallowed part of the
+ * loss moves into the replacement tranche’s basis (TrancheState → WashAdj)
+ * together with the sold shares’ holding period (HoldFrom). Only losses
+ * in taxable accounts are listed; a replacement bought in an IRA/Roth
+ * still washes the loss, which is then lost rather than carried.
+ */
+function buildWashSales() {
+  const ss      = SpreadsheetApp.getActive();
+  const txSheet = ss.getSheetByName("Transactions");
+  const wsSheet = insureClearedSheet("WashSales");
+
+  // 1) Run the tranche engine, then the wash-sale pass over its sell lots
+  const state = computeTrancheState(readTrancheLedger_(txSheet));
+  const wash  = detectLedgerWashSales_(state);
+
+  // 2) Assemble output rows
+  const notesMap = {
+    TaxYr:      "Calendar year of the loss sale",
+    SellDt:     "Date of the loss sale",
+    Sym:        "Ticker symbol",
+    Account:    "Taxable account the loss was realized in (blank = default)",
+    SoldTrID:   "Tranche sold at a loss",
+    ShSold:     "Shares sold from that tranche",
+    Loss:       "Loss on the shares sold (after any basis carried in from earlier wash sales)",
+    ReplAccount:"Account of the replacement purchase; an IRA/Roth replacement makes the loss permanently disallowed",
+    ReplTrID:   "Replacement tranche bought within 30 days of the sale",
+    ReplBuyDt:  "Replacement purchase date",
+    ReplShr:    "Replacement shares matched to this sale (each used once)",
+    Disallowed: "Loss × ReplShr ÷ ShSold; added to the replacement tranche's basis",
+    HoldFrom:   "Replacement shares' holding period start (ReplBuyDt less the days the sold shares were held); blank for IRA/Roth replacements"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys];
+
+  wash.washSales.forEach(w => {
+    const row = Object.assign({}, w, {
+      TaxYr:     w.SellDt.getFullYear(),
+      SellDt:    formatDate_(w.SellDt),
+      ReplBuyDt: formatDate_(w.ReplBuyDt),
+      HoldFrom:  formatDate_(w.HoldFrom)
+    });
+    out.push(keys.map(k => row[k]));
+  });
+
+  // 3) Write & format output
+  wsSheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(wsSheet, notesMap);
+  filterHeaders(wsSheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    ["SellDt", "ReplBuyDt", "HoldFrom"].forEach(name =>
+      wsSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("yyyy-MM-dd")
+    );
+    ["Loss", "Disallowed"].forEach(name =>
+      wsSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("$#,##0.00")
+    );
+    ["ShSold", "ReplShr"].forEach(name =>
+      wsSheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("0.0000")
+    );
+    wsSheet
+      .getRange(2, colOf("TaxYr"), out.length - 1)
+      .setNumberFormat("0");
+  }
+
+  autoSizeAllColumns(wsSheet, 4);
+  freezeHeaders(wsSheet);
+}
+
+/**
+ * detectWashSales() with account tax treatments from the Accounts sheet,
+ * shared by every report that shows wash-sale adjustments.
+ */
+function detectLedgerWashSales_(state) {
+  const treatments = getAccountTreatments();
+  return detectWashSales(state, { isTaxable: acct => isTaxableAccount(acct, treatments) });
+}
@@ -0,0 +1,59 @@
+/**
+ * buildYieldSummary.gs
+ *
+ * Populates the “YieldSummary” sheet: one row per symbol rolling up the
+ * TrancheState yield columns over its open tranches in every account
+ * (see rollupYieldBySymbol). Yields are recomputed from the totals, so a
+ * symbol's YieldOnCost is its whole run rate over its whole open cost.
+ */
+function buildYieldSummary() {
+  const ySheet = insureClearedSheet("YieldSummary");
+
+  // 1) Same tranche rows buildTrancheState writes, rolled up by symbol
+  const rows = rollupYieldBySymbol(trancheStateRows_(new Date()));
+
+  // 2) Assemble output rows
+  const notesMap = {
+    Sym:             "Ticker symbol",
+    ShRem:           "Open shares across all tranches and accounts",
+    OpenCost:        "Original cost of the open shares",
+    AdjBasis:        "Sum of open tranches' AdjBasis: the open shares' cost − ROC, floored at 0, + WashAdj",
+    MktValue:        "ShRem × CurrPx; blank when the symbol has no price",
+    Dist4W:          "Distributions (ROC + income) received in the trailing 4 weeks, including tranches closed since",
+    Dist52W:         "Distributions received in the trailing 52 weeks, including tranches closed since",
+    AnnualDist:      "Annualized distribution rate: open shares × average per-share payment over the trailing 52 weeks × payment frequency",
+    YieldOnCost:     "AnnualDist ÷ OpenCost",
+    YieldOnAdjBasis: "AnnualDist ÷ AdjBasis; blank once ROC has taken basis to zero",
+    CurrentYield:    "AnnualDist ÷ MktValue (yield at CurrPx); blank without a price"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys].concat(rows.map(r => keys.map(k => r[k])));
+
+  // 3) Write & format output
+  ySheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(ySheet, notesMap);
+  filterHeaders(ySheet);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  if (out.length > 1) {
+    ["OpenCost", "AdjBasis", "MktValue", "Dist4W", "Dist52W", "AnnualDist"].forEach(name =>
+      ySheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("$#,##0.00")
+    );
+    ["YieldOnCost", "YieldOnAdjBasis", "CurrentYield"].forEach(name =>
+      ySheet
+        .getRange(2, colOf(name), out.length - 1)
+        .setNumberFormat("0.00%")
+    );
+    ySheet
+      .getRange(2, colOf("ShRem"), out.length - 1)
+      .setNumberFormat("0.0000");
+  }
+
+  autoSizeAllColumns(ySheet, 4);
+  freezeHeaders(ySheet);
+}
@@ -0,0 +1,113 @@
+/**
+ * importBrokerCsv.gs
+ *
+ * Menu entry: imports a broker CSV export into Transactions.
+ *
+ * The CSV is read from a Drive file (ID or URL) or, when none is given,
+ * from an “ImportCsv” sheet the export was pasted into. Rows are mapped
+ * with a broker profile (schwab, fidelity, etrade, generic — see
+ * IMPORT_PROFILES); the generic profile’s columns can be overridden with
+ * Settings → ImportColumns, e.g. "date=Trade Date; action=Activity".
+ *
+ * Only rows not already in the ledger are appended (see planImport).
+ * Rows that cannot be classified are listed on “ImportReview” instead of
+ * being dropped. Run Rebuild All afterwards to fill the derived columns.
+ */
+function importBrokerCsv() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+
+  // 1) Ask for the profile and the source
+  const names = Object.keys(IMPORT_PROFILES);
+  const pResp = ui.prompt("Import broker CSV",
+    `Broker profile (${names.join(", ")}):`, ui.ButtonSet.OK_CANCEL);
+  if (pResp.getSelectedButton() !== ui.Button.OK) return;
+  const name = pResp.getResponseText().trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (!IMPORT_PROFILES[name]) throw new Error(`Unknown import profile "${name}"; expected one of ${names.join(", ")}`);
+
+  const sResp = ui.prompt("Import broker CSV",
+    'Drive file ID or URL (leave blank to read the "ImportCsv" sheet):', ui.ButtonSet.OK_CANCEL);
+  if (sResp.getSelectedButton() !== ui.Button.OK) return;
+
+  // 2) Read and plan
+  const grid    = readImportGrid_(ss, sResp.getResponseText().trim());
+  const profile = name === "generic"
+    ? {
+        columns: Object.assign({}, IMPORT_PROFILES.generic.columns,
+                               parseColumnMapping(getSetting("ImportColumns", ""))),
+        types:   IMPORT_PROFILES.generic.types
+      }
+    : IMPORT_PROFILES[name];
+
+  const txSheet = ss.getSheetByName("Transactions");
+  const ledger  = readTransactions(txSheet, ["date", "type", "sym", "shr", "price", "dist"]);
+  const plan    = planImport(grid, profile, ledger.rows);
+
+  // 3) Append new rows under the ledger, one batched write
+  if (plan.append.length) {
+    const width = ledger.headers.length;
+    const out   = plan.append.map(r => {
+      const row = Array(width).fill("");
+      ["date", "type", "sym", "shr", "price", "dist"].forEach(f => { row[ledger.cols[f]] = r[f]; });
+      return row;
+    });
+    txSheet
+      .getRange(txSheet.getLastRow() + 1, 1, out.length, width)
+      .setValues(out);
+  }
+
+  // 4) Review sheet for rows that were not imported
+  writeImportReview_(plan.review);
+
+  ss.toast(
+    `Imported ${plan.append.length} new rows, skipped ${plan.duplicates} already in the ledger, ` +
+    `${plan.review.length} to review. Run Rebuild All to update the reports.`,
+    "ROC Tracker", 10
+  );
+}
+
+/**
+ * Returns the CSV as rows of cells, from a Drive file when `source` is an
+ * ID/URL, otherwise from the “ImportCsv” sheet (either split into cells by
+ * the paste, or one CSV line per cell in column A).
+ */
+function readImportGrid_(ss, source) {
+  if (source) {
+    const m  = source.match(/[-\w]{25,}/);
+    const id = m ? m[0] : source;
+    return parseCsv(DriveApp.getFileById(id).getBlob().getDataAsString());
+  }
+
+  const sheet = ss.getSheetByName("ImportCsv");
+  if (!sheet) throw new Error('Give a Drive file ID, or paste the export into a sheet named "ImportCsv"');
+  const cells = sheet.getDataRange().getDisplayValues();
+  const oneColumn = cells.every(r => r.slice(1).every(c => c === ""));
+  return oneColumn
+    ? parseCsv(cells.map(r => r[0]).join("\n"))
+    : cells;
+}
+
+/**
+ * Writes the rows planImport could not classify to “ImportReview”.
+ */
+function writeImportReview_(review) {
+  const sheet    = insureClearedSheet("ImportReview");
+  const notesMap = {
+    Line:   "Line in the CSV export",
+    Reason: "Why the row was not imported",
+    Action: "Broker action / transaction type text",
+    Sym:    "Symbol as exported",
+    Raw:    "The full CSV row"
+  };
+  const keys = Object.keys(notesMap);
+  const out  = [keys].concat(review.map(r => keys.map(k => r[k.toLowerCase()])));
+
+  sheet
+    .getRange(1, 1, out.length, keys.length)
+    .setValues(out);
+
+  addHeaderNotes(sheet, notesMap);
+  filterHeaders(sheet);
+  autoSizeAllColumns(sheet, 4);
+  freezeHeaders(sheet);
+}
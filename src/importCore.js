@@ -0,0 +1,282 @@
+/**
+ * importCore.gs
+ *
+ * Spreadsheet-free half of the broker CSV importer (see importBrokerCsv).
+ * Parses a broker export, maps each row onto the Transactions fields
+ * (date, type, sym, shr, price, dist) and decides which rows are new.
+ * Like trancheCore, nothing here touches Apps Script services, so the
+ * importer can be run under Node against sample CSV exports.
+ */
+
+/**
+ * Broker export profiles. `columns` lists the accepted header names for
+ * each input column (matched ignoring case and whitespace); `types` maps
+ * the broker's action text to a Transactions Type, first match wins.
+ * Rows whose action matches nothing (reinvestments, fees, transfers, …)
+ * go to review rather than into the ledger.
+ */
+const IMPORT_PROFILES = {
+  schwab: {
+    columns: {
+      date:   ["Date"],
+      action: ["Action"],
+      sym:    ["Symbol"],
+      qty:    ["Quantity"],
+      price:  ["Price"],
+      amount: ["Amount"]
+    },
+    types: [
+      [/^buy$/i,  "buy"],
+      [/^sell$/i, "sell"],
+      [/^(pr yr )?(cash|qualified|non-qualified|non-qual|special) div/i, "dividend"]
+    ]
+  },
+  fidelity: {
+    columns: {
+      date:   ["Run Date", "Date"],
+      action: ["Action"],
+      sym:    ["Symbol"],
+      qty:    ["Quantity"],
+      price:  ["Price ($)", "Price"],
+      amount: ["Amount ($)", "Amount"]
+    },
+    types: [
+      [/^you bought/i,        "buy"],
+      [/^you sold/i,          "sell"],
+      [/^dividend received/i, "dividend"]
+    ]
+  },
+  etrade: {
+    columns: {
+      date:   ["TransactionDate", "Transaction Date"],
+      action: ["TransactionType", "Transaction Type"],
+      sym:    ["Symbol"],
+      qty:    ["Quantity"],
+      price:  ["Price"],
+      amount: ["Amount"]
+    },
+    types: [
+      [/^bought$/i,                 "buy"],
+      [/^sold$/i,                   "sell"],
+      [/^(qualified )?dividend$/i,  "dividend"]
+    ]
+  },
+  generic: {
+    columns: {
+      date:   ["Date", "TradeDate", "Trade Date"],
+      action: ["Type", "Action"],
+      sym:    ["Sym", "Symbol", "Ticker"],
+      qty:    ["Shr", "Shares", "Quantity", "Qty"],
+      price:  ["Price"],
+      amount: ["Dist", "Amount"]
+    },
+    types: [
+      [/^(buy|bought)$/i,                   "buy"],
+      [/^(sell|sold)$/i,                    "sell"],
+      [/^(dividend|div|distribution)$/i,    "dividend"]
+    ]
+  }
+};
+
+/**
+ * Splits CSV text into rows of strings (RFC 4180: quoted fields may hold
+ * commas, doubled quotes and line breaks).
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row    = [];
+  let field  = "";
+  let quoted = false;
+  const src  = String(text == null ? "" : text).replace(/^﻿/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"')                  { quoted = false; }
+      else                                  { field += ch; }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+/**
+ * Parses a generic-profile column mapping such as
+ *   "date=Trade Date; action=Activity; sym=Ticker; qty=Units; price=Px; amount=Net"
+ * into { date: ["Trade Date"], … }. Keys: date, action, sym, qty, price, amount.
+ */
+function parseColumnMapping(text) {
+  const keys = Object.keys(IMPORT_PROFILES.generic.columns);
+  return String(text || "").split(/[;\n]/).reduce((m, pair) => {
+    const eq = pair.indexOf("=");
+    if (eq < 0) return m;
+    const key = pair.slice(0, eq).trim().toLowerCase();
+    const col = pair.slice(eq + 1).trim();
+    if (!keys.includes(key)) throw new Error(`Unknown import column "${key}"; expected ${keys.join(", ")}`);
+    if (col) m[key] = [col];
+    return m;
+  }, {});
+}
+
+/**
+ * Parses a broker money/quantity cell: "$1,234.56", "-5", "(12.34)".
+ * Returns NaN when blank or unparseable.
+ */
+function parseBrokerNumber_(value) {
+  if (typeof value === "number") return value;
+  let text = String(value == null ? "" : value).trim();
+  const neg = /^\(.*\)$/.test(text);
+  text = text.replace(/[()$,\s]/g, "");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+  return neg ? -parseFloat(text) : parseFloat(text);
+}
+
+/**
+ * Parses "MM/DD/YYYY", "MM/DD/YYYY as of MM/DD/YYYY" (first date wins) or
+ * "YYYY-MM-DD" as a local date. Returns null when unparseable.
+ */
+function parseBrokerDate_(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const text = String(value == null ? "" : value).trim();
+  let m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (m) {
+    const yr = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return new Date(yr, +m[1] - 1, +m[2]);
+  }
+  m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return new Date(+m[1], +m[2] - 1, +m[3]);
+  return null;
+}
+
+/**
+ * Deterministic duplicate key for a Transactions-shaped row:
+ *   yyyy-MM-dd | type | SYM | shares | amount
+ * where amount is Dist for dividends and shares × price for trades.
+ */
+function importKey(r) {
+  const d    = new Date(r.date);
+  const p2   = n => String(n).padStart(2, "0");
+  const day  = `${d.getFullYear()}-${p2(d.getMonth() + 1)}-${p2(d.getDate())}`;
+  const type = String(r.type || "").trim().toLowerCase();
+  const shr  = parseFloat(r.shr) || 0;
+  const amt  = type === "dividend"
+    ? parseFloat(r.dist) || 0
+    : shr * (parseFloat(r.price) || 0);
+  return [day, type, String(r.sym || "").trim().toUpperCase(),
+          shr.toFixed(4), amt.toFixed(2)].join("|");
+}
+
+/**
+ * planImport()
+ *
+ * Maps a parsed broker export onto Transactions rows and drops the ones
+ * already in the ledger. Duplicates are counted, not just matched: two
+ * identical buys on the same day import as two rows, and re-importing the
+ * same file adds nothing.
+ *
+ * @param {Array[]}  grid      CSV rows (see parseCsv), preamble lines allowed.
+ * @param {Object}   profile   An IMPORT_PROFILES entry, or
+ *                             { columns, types } for a custom mapping.
+ * @param {Object[]} existing  Current ledger rows { date, type, sym, shr, price, dist }.
+ * @returns {{append: Object[], review: Object[], duplicates: number}}
+ *   append: new { date, type, sym, shr, price, dist, key } in date order.
+ *   review: { line, reason, action, sym, raw } for rows that could not be
+ *           classified or are missing a required value.
+ */
+function planImport(grid, profile, existing) {
+  const norm    = h => String(h == null ? "" : h).replace(/\s+/g, "").toLowerCase();
+  const findCol = (hdr, names) => hdr.findIndex(h => names.map(norm).includes(norm(h)));
+
+  // 1) Locate the header row (brokers prepend account banners)
+  const hIdx = grid.findIndex(r =>
+    findCol(r, profile.columns.date) >= 0 && findCol(r, profile.columns.action) >= 0);
+  if (hIdx < 0) {
+    throw new Error(
+      `No header row with a date (${profile.columns.date.join("/")}) and ` +
+      `action (${profile.columns.action.join("/")}) column was found`
+    );
+  }
+  const hdr = grid[hIdx];
+  const col = {};
+  Object.keys(profile.columns).forEach(k => { col[k] = findCol(hdr, profile.columns[k]); });
+  ["sym", "qty", "amount"].forEach(k => {
+    if (col[k] < 0) throw new Error(`Import header row is missing ${k} (${profile.columns[k].join("/")})`);
+  });
+
+  // 2) Classify and map each row
+  const mapped = [];
+  const review = [];
+  grid.slice(hIdx + 1).forEach((r, i) => {
+    const line   = hIdx + i + 2;
+    const cell   = k => (col[k] >= 0 ? String(r[col[k]] == null ? "" : r[col[k]]).trim() : "");
+    const action = cell("action");
+    if (r.every(c => String(c == null ? "" : c).trim() === "")) return;
+
+    const flag = reason => review.push({ line, reason, action, sym: cell("sym"), raw: r.join(" | ") });
+    const hit  = profile.types.find(([re]) => re.test(action));
+    if (!hit) return flag("Unrecognised action");
+
+    const type = hit[1];
+    const date = parseBrokerDate_(cell("date"));
+    const sym  = cell("sym").toUpperCase();
+    const qty  = Math.abs(parseBrokerNumber_(cell("qty")));
+    const amt  = Math.abs(parseBrokerNumber_(cell("amount")));
+    let price  = Math.abs(parseBrokerNumber_(cell("price")));
+
+    if (!date) return flag("Unparseable date");
+    if (!sym)  return flag("Missing symbol");
+
+    if (type === "dividend") {
+      if (!(amt > 0)) return flag("Missing dividend amount");
+      mapped.push({ date, type, sym, shr: "", price: "", dist: amt });
+    } else {
+      if (!(qty > 0)) return flag("Missing share quantity");
+      if (!(price > 0)) price = amt / qty;
+      if (!(price > 0)) return flag("Missing price and amount");
+      mapped.push({ date, type, sym, shr: qty, price, dist: "" });
+    }
+  });
+
+  // 3) Keep only rows beyond what the ledger already holds
+  const have = {};
+  existing.forEach(r => {
+    const k = importKey(r);
+    have[k] = (have[k] || 0) + 1;
+  });
+  let duplicates = 0;
+  const append = [];
+  mapped.forEach(r => {
+    const key = importKey(r);
+    if (have[key] > 0) {
+      have[key]--;
+      duplicates++;
+    } else {
+      append.push(Object.assign(r, { key }));
+    }
+  });
+  append.sort((a, b) => a.date - b.date);
+
+  return { append, review, duplicates };
+}
+
+// Node (unit tests) — Apps Script has no `module`, so this is a no-op there.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    IMPORT_PROFILES,
+    parseCsv,
+    parseColumnMapping,
+    importKey,
+    planImport
+  };
+}
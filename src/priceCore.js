@@ -0,0 +1,118 @@
+/**
+ * priceCore.gs
+ *
+ * Spreadsheet-free half of the MarketData price refresh (see
+ * refreshMarketData). A price provider is any object with
+ *   fetch(symbols) → { SYM: price, … }
+ * that simply omits symbols it could not price. The GOOGLEFINANCE and
+ * URL providers need Apps Script services and live in refreshMarketData;
+ * the mock provider, quote parsing, close-history merging and the
+ * per-run price lookup (createPriceService) live here so they can be run
+ * under Node. Staleness is judged in trancheCore
+ * (isStalePrice), where TrancheState rows are built.
+ */
+
+const PRICE_PROVIDERS = ["googlefinance", "url", "mock"];
+
+/**
+ * Mock provider for testing: answers from a fixed { SYM: price } table.
+ */
+function createMockPriceProvider(table) {
+  const prices = {};
+  Object.keys(table || {}).forEach(s => { prices[String(s).trim().toUpperCase()] = table[s]; });
+  return {
+    name: "mock",
+    fetch: symbols => symbols.reduce((m, s) => {
+      const px = parseFloat(prices[String(s).trim().toUpperCase()]);
+      if (px > 0) m[s] = px;
+      return m;
+    }, {})
+  };
+}
+
+/**
+ * Fills a quote URL template, e.g.
+ *   "https://example.com/quote?symbol={sym}" → "…?symbol=JEPI"
+ */
+function buildQuoteUrl(template, sym) {
+  if (!/\{sym\}/i.test(template || "")) {
+    throw new Error(`Settings → PriceUrl must contain {sym}; got "${template || ""}"`);
+  }
+  return String(template).replace(/\{sym\}/gi, encodeURIComponent(sym));
+}
+
+/**
+ * Reads a price out of a JSON quote response by dot path, e.g.
+ * "quoteResponse.result.0.regularMarketPrice". Array steps are indexes.
+ * Returns NaN when the path is missing or the value is not a positive
+ * number.
+ */
+function extractQuotePrice(json, path) {
+  let node = typeof json === "string" ? JSON.parse(json) : json;
+  String(path || "").split(".").filter(Boolean).forEach(step => {
+    node = node == null ? undefined : node[step];
+  });
+  const px = parseFloat(node);
+  return px > 0 ? px : NaN;
+}
+
+/**
+ * createPriceService()
+ *
+ * Builds the per-run price lookup from MarketData rows, so each builder
+ * reads the sheet once instead of once per tranche. Symbols are matched
+ * ignoring case and surrounding whitespace. A symbol that is not listed,
+ * or whose CurrPx is blank, zero or not a number, has no price: priceOf()
+ * returns null rather than 0, so callers can mark it instead of valuing
+ * the position at nothing.
+ *
+ * @param {Array[]} rows  MarketData rows [Sym, CurrPx, LastUpdate].
+ * @returns {{priceOf: Function, updatedOf: Function, symbols: string[]}}
+ */
+function createPriceService(rows) {
+  const key    = s => String(s == null ? "" : s).trim().toUpperCase();
+  const quotes = {};
+  rows.forEach(([sym, px, at]) => {
+    const k = key(sym);
+    if (!k) return;
+    const price = typeof px === "number" ? px : parseFloat(String(px).replace(/[$,\s]/g, ""));
+    quotes[k] = { price: price > 0 ? price : null, updated: at || "" };
+  });
+
+  return {
+    priceOf:   sym => (quotes[key(sym)] || {}).price || null,
+    updatedOf: sym => (quotes[key(sym)] || {}).updated || "",
+    symbols:   Object.keys(quotes)
+  };
+}
+
+/**
+ * mergePriceHistory()
+ *
+ * Records one close per (day, symbol) in the PriceHistory rows. Refreshing
+ * more than once a day overwrites that day's close, so the last refresh
+ * of the day wins and re-running is harmless.
+ *
+ * @param {Array[]} rows    Existing [day (yyyy-MM-dd), Sym, Close] rows.
+ * @param {Object}  quotes  { SYM: price } from a provider.
+ * @param {string}  day     yyyy-MM-dd of the refresh.
+ * @returns {Array[]} Rows sorted by day, then symbol.
+ */
+function mergePriceHistory(rows, quotes, day) {
+  const keep = rows.filter(([d, s]) => !(String(d) === day && s in quotes));
+  Object.keys(quotes).forEach(s => keep.push([day, s, quotes[s]]));
+  return keep.sort((a, b) =>
+    String(a[0]).localeCompare(String(b[0])) || String(a[1]).localeCompare(String(b[1])));
+}
+
+// Node (unit tests) — Apps Script has no `module`, so this is a no-op there.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PRICE_PROVIDERS,
+    createMockPriceProvider,
+    buildQuoteUrl,
+    extractQuotePrice,
+    createPriceService,
+    mergePriceHistory
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * refreshMarketData.gs
+ *
+ * Fetches current prices for every symbol listed on “MarketData”
+ * (A: Sym, B: CurrPx, C: LastUpdate) and records each day's close on
+ * “PriceHistory” (Date, Sym, Close). The provider is chosen with
+ * Settings → PriceProvider (see PRICE_PROVIDERS):
+ *   googlefinance  GOOGLEFINANCE(sym, "price") via a hidden scratch sheet
+ *   url            Settings → PriceUrl (with {sym}) and PricePath, the dot
+ *                  path to the price in the JSON response
+ *   mock           fixed prices from a “MockPrices” sheet (Sym, Price)
+ *
+ * Symbols the provider cannot price keep their old CurrPx and LastUpdate,
+ * so they show up as stale in TrancheState (Settings → MaxPriceAgeHours).
+ */
+function refreshMarketData() {
+  const ss     = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet  = ss.getSheetByName("MarketData");
+  if (!sheet) throw new Error('Sheet "MarketData" not found');
+  const now    = new Date();
+
+  // 1) Symbols to price
+  const n    = Math.max(0, sheet.getLastRow() - 1);
+  const syms = n
+    ? sheet.getRange(2, 1, n, 1).getValues().map(([s]) => String(s).trim().toUpperCase())
+    : [];
+  const wanted = syms.filter((s, i) => s && syms.indexOf(s) === i);
+  if (!wanted.length) return;
+
+  // 2) Fetch
+  const provider = getPriceProvider_(String(getSetting("PriceProvider", "googlefinance")));
+  const quotes   = provider.fetch(wanted);
+
+  // 3) Write CurrPx/LastUpdate for priced symbols; AA keeps the previous
+  //    price checkPriceUpdates compares against
+  const prices  = sheet.getRange(2, 2, n, 2).getValues();
+  const prev    = sheet.getRange(2, 27, n, 1).getValues();
+  syms.forEach((s, i) => {
+    if (!(s in quotes)) return;
+    prices[i] = [quotes[s], now];
+    prev[i]   = [quotes[s]];
+  });
+  sheet.getRange(2, 2, n, 2).setValues(prices);
+  sheet.getRange(2, 27, n, 1).setValues(prev);
+  sheet.getRange(2, 3, n, 1).setNumberFormat("yyyy-MM-dd HH:mm");
+  PRICE_SERVICE_CACHE_.service = null;
+
+  // 4) Daily close history (weekday refreshes only)
+  if (now.getDay() !== 0 && now.getDay() !== 6) {
+    recordPriceHistory_(quotes, formatDate_(now));
+  }
+
+  const missed = wanted.filter(s => !(s in quotes));
+  ss.toast(
+    `Priced ${wanted.length - missed.length} of ${wanted.length} symbols via ${provider.name}` +
+    (missed.length ? `; no quote for ${missed.join(", ")}` : "") + ".",
+    "ROC Tracker", 5
+  );
+}
+
+/**
+ * Menu entry: (re)installs the time-driven trigger that runs
+ * refreshMarketData every Settings → PriceRefreshHours hours (default 1).
+ */
+function schedulePriceRefresh() {
+  const hours = parseInt(getSetting("PriceRefreshHours", 1), 10);
+  if (![1, 2, 4, 6, 8, 12].includes(hours)) {
+    throw new Error(`Settings → PriceRefreshHours must be 1, 2, 4, 6, 8 or 12; got "${hours}"`);
+  }
+
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === "refreshMarketData")
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  ScriptApp.newTrigger("refreshMarketData").timeBased().everyHours(hours).create();
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `MarketData will refresh every ${hours} hour(s).`, "ROC Tracker", 5);
+}
+
+/**
+ * Returns the named price provider: { name, fetch(symbols) → { SYM: price } }.
+ */
+function getPriceProvider_(name) {
+  const key = name.trim().toLowerCase();
+  if (key === "googlefinance") return { name: key, fetch: fetchGoogleFinancePrices_ };
+  if (key === "url")           return { name: key, fetch: fetchUrlPrices_ };
+  if (key === "mock")          return createMockPriceProvider(readMockPrices_());
+  throw new Error(`Unknown Settings → PriceProvider "${name}"; expected one of ${PRICE_PROVIDERS.join(", ")}`);
+}
+
+/**
+ * GOOGLEFINANCE provider: evaluates one formula per symbol on a hidden
+ * “PriceFetch” scratch sheet and reads the results back.
+ */
+function fetchGoogleFinancePrices_(symbols) {
+  const sheet = getOrCreateSheet("PriceFetch");
+  sheet.hideSheet();
+  sheet.clearContents();
+
+  const range = sheet.getRange(1, 1, symbols.length, 1);
+  range.setFormulas(symbols.map(s => [`=GOOGLEFINANCE("${s.replace(/"/g, "")}","price")`]));
+  SpreadsheetApp.flush();
+  const values = range.getValues();
+  sheet.clearContents();
+
+  return symbols.reduce((m, s, i) => {
+    const px = values[i][0];
+    if (typeof px === "number" && px > 0) m[s] = px;
+    return m;
+  }, {});
+}
+
+/**
+ * URL provider: fetches Settings → PriceUrl for every symbol in one
+ * batch and reads the price at Settings → PricePath. A non-200 response
+ * or an unreadable body leaves the symbol unpriced, so it is named in the
+ * refresh toast.
+ */
+function fetchUrlPrices_(symbols) {
+  const template = String(getSetting("PriceUrl", ""));
+  const path     = String(getSetting("PricePath", ""));
+  if (!path) throw new Error("Settings → PricePath is required for the url price provider");
+
+  const responses = UrlFetchApp.fetchAll(symbols.map(s => ({
+    url:                buildQuoteUrl(template, s),
+    muteHttpExceptions: true
+  })));
+
+  return symbols.reduce((m, s, i) => {
+    const res = responses[i];
+    if (res.getResponseCode() !== 200) return m;
+    try {
+      const px = extractQuotePrice(res.getContentText(), path);
+      if (px > 0) m[s] = px;
+    } catch (err) {
+      // Not JSON: leave the symbol unpriced
+    }
+    return m;
+  }, {});
+}
+
+/**
+ * Reads the “MockPrices” sheet (Sym, Price) for the mock provider.
+ */
+function readMockPrices_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("MockPrices");
+  if (!sheet) throw new Error('The mock price provider needs a "MockPrices" sheet (Sym, Price)');
+  if (sheet.getLastRow() < 2) return {};
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues()
+    .reduce((m, [s, p]) => {
+      if (String(s).trim()) m[String(s).trim()] = p;
+      return m;
+    }, {});
+}
+
+/**
+ * Upserts today's closes into “PriceHistory” (see mergePriceHistory).
+ */
+function recordPriceHistory_(quotes, day) {
+  const sheet = getOrCreateSheet("PriceHistory");
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, 3).setValues([["Date", "Sym", "Close"]]);
+    addHeaderNotes(sheet, {
+      Date:  "Trading day",
+      Sym:   "Ticker symbol",
+      Close: "Last price fetched that day by refreshMarketData"
+    });
+    freezeHeaders(sheet);
+  }
+
+  const n    = Math.max(0, sheet.getLastRow() - 1);
+  const rows = n
+    ? sheet.getRange(2, 1, n, 3).getValues().map(([d, s, c]) => [formatDate_(d), String(s), c])
+    : [];
+  const out  = mergePriceHistory(rows, quotes, day);
+
+  if (out.length) {
+    sheet.getRange(2, 1, out.length, 3).setValues(out);
+    sheet.getRange(2, 1, out.length, 1).setNumberFormat("yyyy-MM-dd");
+    sheet.getRange(2, 3, out.length, 1).setNumberFormat("$#,##0.00");
+  }
+}
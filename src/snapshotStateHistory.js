@@ -0,0 +1,126 @@
+/**
+ * snapshotStateHistory.gs
+ *
+ * Appends today's TrancheState to the “StateHistory” sheet: one row per
+ * open tranche plus a portfolio TOTAL row, keyed by date (see
+ * snapshotTrancheState). Values come from the same computation as
+ * buildTrancheState; re-running on the same date replaces that date's
+ * rows. The “StateHistoryChart” sheet charts the TOTAL rows: market value
+ * against the principal still at risk (AdjBasis).
+ */
+function snapshotStateHistory() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheet("StateHistory");
+  const now   = new Date();
+  const day   = formatDate_(now);
+  const keys  = STATE_HISTORY_KEYS;
+
+  // 1) Today's rows, computed exactly as TrancheState is
+  const snapshot = snapshotTrancheState(trancheStateRows_(now), day);
+
+  // 2) Merge into the existing history, replacing today's rows
+  const n        = Math.max(0, sheet.getLastRow() - 1);
+  const existing = n
+    ? sheet.getRange(2, 1, n, keys.length).getValues().map(r => [formatDate_(r[0])].concat(r.slice(1)))
+    : [];
+  const rows = mergeStateHistory(existing, snapshot, day);
+
+  // 3) Write & format output
+  const notesMap = {
+    Date:               "Snapshot date",
+    ID:                 "Tranche ID; TOTAL = all open tranches",
+    Sym:                "Ticker symbol",
+    Account:            "Account holding the tranche",
+    ShRem:              "Remaining shares",
+    CurrPx:             "Market price used that day",
+    AdjBasis:           "Principal still at risk: the open shares' cost − ROC + WashAdj (TrancheState → AdjBasis); the TOTAL row sums every open tranche",
+    MktValue:           "ShRem × CurrPx; the TOTAL row sums priced tranches only",
+    UnrealizedGainLoss: "MktValue − AdjBasis (priced tranches only on the TOTAL row)",
+    PctToExit:          "(AdjBasis − MktValue) / AdjBasis, clamped 0–100%",
+    StalePx:            "STALE / NoPrice as in TrancheState; on TOTAL, the worst flag of the day"
+  };
+  sheet.getRange(1, 1, 1, keys.length).setValues([keys]);
+  if (n) sheet.getRange(2, 1, n, keys.length).clearContent();
+  sheet
+    .getRange(2, 1, rows.length, keys.length)
+    .setValues(rows);
+
+  const colOf = name => keys.indexOf(name) + 1;
+  sheet.getRange(2, colOf("Date"), rows.length).setNumberFormat("yyyy-MM-dd");
+  ["CurrPx", "AdjBasis", "MktValue", "UnrealizedGainLoss"].forEach(name =>
+    sheet.getRange(2, colOf(name), rows.length).setNumberFormat("$#,##0.00")
+  );
+  sheet.getRange(2, colOf("ShRem"), rows.length).setNumberFormat("0.0000");
+  sheet.getRange(2, colOf("PctToExit"), rows.length).setNumberFormat("0.00%");
+
+  addHeaderNotes(sheet, notesMap);
+  freezeHeaders(sheet);
+
+  // 4) Chart the portfolio totals
+  updateStateHistoryChart_(rows);
+
+  ss.toast(`StateHistory: ${snapshot.length - 1} open tranches saved for ${day}.`, "ROC Tracker", 5);
+}
+
+/**
+ * Menu entry: (re)installs the daily time-driven trigger for
+ * snapshotStateHistory at Settings → SnapshotHour (0–23, default 17,
+ * in the spreadsheet's time zone).
+ */
+function scheduleStateSnapshot() {
+  const hour = parseInt(getSetting("SnapshotHour", 17), 10);
+  if (!(hour >= 0 && hour <= 23)) {
+    throw new Error(`Settings → SnapshotHour must be 0–23; got "${getSetting("SnapshotHour", "")}"`);
+  }
+
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === "snapshotStateHistory")
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  ScriptApp.newTrigger("snapshotStateHistory").timeBased().everyDays(1).atHour(hour).create();
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `StateHistory will be snapshotted daily around ${hour}:00.`, "ROC Tracker", 5);
+}
+
+/**
+ * Writes the TOTAL rows to “StateHistoryChart” (Date, TotalValue,
+ * PrincipalAtRisk) and adds the line chart the first time.
+ */
+function updateStateHistoryChart_(rows) {
+  const iDate = STATE_HISTORY_KEYS.indexOf("Date");
+  const iID   = STATE_HISTORY_KEYS.indexOf("ID");
+  const iAdj  = STATE_HISTORY_KEYS.indexOf("AdjBasis");
+  const iMkt  = STATE_HISTORY_KEYS.indexOf("MktValue");
+
+  const sheet = insureClearedSheet("StateHistoryChart");
+  const out   = [["Date", "TotalValue", "PrincipalAtRisk"]].concat(
+    rows.filter(r => r[iID] === "TOTAL").map(r => [r[iDate], r[iMkt], r[iAdj]])
+  );
+  sheet
+    .getRange(1, 1, out.length, 3)
+    .setValues(out);
+  sheet.getRange(2, 1, Math.max(1, out.length - 1)).setNumberFormat("yyyy-MM-dd");
+  sheet.getRange(2, 2, Math.max(1, out.length - 1), 2).setNumberFormat("$#,##0");
+  addHeaderNotes(sheet, {
+    TotalValue:      "Market value of all priced open tranches (StateHistory TOTAL → MktValue)",
+    PrincipalAtRisk: "Adjusted basis of the shares still held (StateHistory TOTAL → AdjBasis)"
+  });
+  freezeHeaders(sheet);
+
+  const range = sheet.getRange(1, 1, out.length, 3);
+  const chart = sheet.getCharts()[0];
+  if (chart) {
+    sheet.updateChart(chart.modify().clearRanges().addRange(range).build());
+    return;
+  }
+  sheet.insertChart(
+    sheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(range)
+      .setNumHeaders(1)
+      .setPosition(2, 5, 0, 0)
+      .setOption("title", "Total value vs principal at risk")
+      .setOption("vAxis.format", "$#,##0")
+      .build()
+  );
+}
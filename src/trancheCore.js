@@ -0,0 +1,2156 @@
+/**
+ * trancheCore.gs
+ *
+ * Spreadsheet-free calculation core. Every function here takes plain
+ * transaction arrays and returns plain result rows—no SpreadsheetApp,
+ * Utilities or other Apps Script services—so the tranche math can be
+ * exercised under Node as well as inside the script project.
+ *
+ * The builders are thin wrappers around these: read the sheet, map rows
+ * into the shapes documented below, call in here, write the result.
+ */
+
+/**
+ * Parses a number out of a cell value, tolerating "$1,234.56" style
+ * currency text. Blank or unparseable values return 0.
+ */
+function parseAmount(value) {
+  if (typeof value === "number") return isNaN(value) ? 0 : value;
+  return parseFloat(String(value == null ? "" : value).replace(/[^0-9.\-]/g, "")) || 0;
+}
+
+/**
+ * Returns the Monday of the week for a given Date.
+ */
+function getWeekStart(dateObj) {
+  const dt = new Date(dateObj);
+  const day = dt.getDay();               // Sun=0 … Sat=6
+  const shift = (day + 6) % 7;           // Mon→0 … Sun→6
+  dt.setDate(dt.getDate() - shift);
+  return dt;
+}
+
+/**
+ * Default yyMMdd formatter used for tranche IDs when the caller does not
+ * supply a timezone-aware one.
+ */
+function formatYyMmDd_(dt) {
+  const d  = new Date(dt);
+  const p2 = n => String(n).padStart(2, "0");
+  return p2(d.getFullYear() % 100) + p2(d.getMonth() + 1) + p2(d.getDate());
+}
+
+/**
+ * computeLedgerMetrics()
+ *
+ * Derives the per-row metrics that updateHistoricalTrancheMetrics writes
+ * next to the Transactions ledger.
+ *
+ * Sells with a TIDOverride relieve that tranche (specific ID). Sells
+ * without one are matched to the symbol's open buy lots using
+ * opts.lotMethod, and split across several tranches when one lot is too
+ * small; the split is reported in LotAlloc ("TrID:shares, …") and TrID
+ * holds the first tranche relieved.
+ *
+ * Running shares (TotShr) are accumulated in eligibilityOrder(), so a
+ * dividend's per-share figures use the shares held at its ex-date however
+ * the sheet happens to be sorted.
+ *
+ * @param {Object[]} txns  Ledger rows in sheet order:
+ *   { date, type, sym, shr, price, dist, rocPct, tidOverride, exDate, ratio,
+ *     reinvShr, reinvPx, account, row }
+ *   (exDate is optional; row is the sheet row number, used only in error messages)
+ *   Positions are kept per account: sells relieve, dividends are spread
+ *   over and TotShr counts only lots of the row's account, and tranche IDs
+ *   of a named account carry its tag (see accountTag).
+ *   A dividend with reinvShr/reinvPx opens a DRIP tranche (SYM_yyMMdd_DRIP_A)
+ *   on its Date, reported on the dividend row itself (TrID, CostBasis,
+ *   RemShr, TStat); the shares join TotShr from that Date.
+ *   A "split" row scales every open lot of sym by ratio (see parseSplitRatio)
+ *   in its account, or in every account when its Account is blank;
+ *   its shr/price, when given, are fractional shares paid as cash-in-lieu,
+ *   relieved like a partial sell.
+ * @param {Object} [opts]
+ *   formatTrDate(date) → "yyMMdd" used to build auto tranche IDs.
+ *   lotMethod          → "FIFO" (default), "LIFO", "HIFO" or "SPECIFIC"
+ *                        (SPECIFIC requires a TIDOverride on every sell).
+ * @returns {Object[]} One object per input row:
+ *   { WkStart, TrID, CostBasis, DistPS, IncPS, RocPS, Inc, ROCAmt,
+ *     TotShr, RemShr, TStat, LotAlloc }  ("" where a field does not apply)
+ */
+function computeLedgerMetrics(txns, opts) {
+  const fmtTr = (opts && opts.formatTrDate) || formatYyMmDd_;
+  const norm  = txns.map(t => ({
+    date:    new Date(t.date),
+    type:    String(t.type || "").toLowerCase(),
+    sym:     String(t.sym  || "").trim().toUpperCase(),
+    shr:     parseFloat(t.shr) || 0,
+    price:   parseAmount(t.price),
+    dist:    parseFloat(t.dist)   || 0,
+    pct:     parseFloat(t.rocPct) || 0,
+    tid:     t.tidOverride,
+    exDate:  t.exDate,
+    ratio:   parseSplitRatio(t.ratio),
+    reinv:   parseFloat(t.reinvShr) || 0,
+    reinvPx: parseAmount(t.reinvPx),
+    account: String(t.account == null ? "" : t.account).trim(),
+    row:     t.row
+  }));
+
+  const out = norm.map(() => ({
+    WkStart: "", TrID: "", CostBasis: "", DistPS: "", IncPS: "", RocPS: "",
+    Inc: "", ROCAmt: "", TotShr: "", RemShr: "", TStat: "", LotAlloc: ""
+  }));
+
+  // 1) WeekStart, CostBasis, running shares, distribution breakdown.
+  //    Reinvested shares arrive on the dividend's Date (after its ex-date)
+  const symbolRun = {};   // "account|SYM" → shares held
+  const posKey    = r => r.account + "|" + r.sym;
+  const events    = norm.concat(dripBuys_(norm));
+  eligibilityOrder(events).forEach(i => {
+    const r   = events[i];
+    const o   = out[i];
+    const key = posKey(r);
+    if (!o) {
+      symbolRun[key] = (symbolRun[key] || 0) + r.shr;
+      return;
+    }
+    o.WkStart = getWeekStart(r.date);
+
+    if (r.type === "buy") o.CostBasis = r.shr * r.price;
+
+    if (r.type === "split" && !r.account) {
+      const ratio = splitRatio_(r);
+      Object.keys(symbolRun).forEach(k => {
+        if (k.endsWith("|" + r.sym) && k !== key) symbolRun[k] *= ratio;
+      });
+    }
+    const run = symbolRun[key] || 0;
+    symbolRun[key] =
+      r.type === "buy"   ? run + r.shr :
+      r.type === "sell"  ? run - r.shr :
+      r.type === "split" ? run * splitRatio_(r) - r.shr :
+                           run;
+    o.TotShr = symbolRun[key];
+
+    if (r.type === "dividend") {
+      const ts     = symbolRun[key] || 0;
+      const rocAmt = r.pct * r.dist;
+      const incAmt = (1 - r.pct) * r.dist;
+      o.DistPS = ts ? r.dist / ts : 0;
+      o.IncPS  = ts ? incAmt / ts : 0;
+      o.RocPS  = ts ? rocAmt / ts : 0;
+      o.Inc    = incAmt;
+      o.ROCAmt = rocAmt;
+      if (r.reinv > 0) o.CostBasis = r.reinv * r.reinvPx;
+    }
+  });
+
+  // 2) Tranche IDs (skip dividends). Walk rows in date order so sells
+  //    only match lots bought on or before the sale.
+  const method = String((opts && opts.lotMethod) || "FIFO").trim().toUpperCase();
+  if (!LOT_METHODS.includes(method)) {
+    throw new Error(`Unknown lot method "${method}". Use one of: ${LOT_METHODS.join(", ")}`);
+  }
+  const trancheMap = {};
+  const nextId     = (r, tag) => {
+    const pre = r.account ? accountTag(r.account) + "_" : "";
+    const key = pre + r.sym + "_" + fmtTr(r.date) + (tag ? "_" + tag : "");
+    const cnt = trancheMap[key] || 0;
+    trancheMap[key] = cnt + 1;
+    return key + "_" + String.fromCharCode(65 + cnt);
+  };
+  const lots  = {};   // TrID → { id, sym, account, date, price, open, seq }
+  const parts = [];   // row → [{ trID, shr, ratio }] for buys, sells and splits
+  const relieve = r => {
+    if (r.tid) {
+      if (lots[r.tid]) lots[r.tid].open -= r.shr;
+      return [{ trID: r.tid, shr: r.shr }];
+    }
+    if (method === "SPECIFIC") {
+      throw new Error(
+        `${r.type === "split" ? "Cash-in-lieu" : "Sell"} of ${r.shr} ${r.sym}${r.row ? " on row " + r.row : ""} ` +
+        `has no TIDOverride; lot method SPECIFIC needs an explicit tranche ID on every sell.`
+      );
+    }
+    return allocateSell_(r, lots, method, nextId);
+  };
+  const allocText = rowParts => rowParts.map(p => `${p.trID}:${+p.shr.toFixed(6)}`).join(", ");
+
+  chronologicalOrder_(norm).forEach(i => {
+    const r = norm[i];
+    if (r.type === "dividend") {
+      if (!(r.reinv > 0)) return;
+      const tid = r.tid || nextId(r, "DRIP");
+      const lot = lots[tid] || (lots[tid] = {
+        id: tid, sym: r.sym, account: r.account, date: r.date, price: r.reinvPx, open: 0, seq: i
+      });
+      lot.open  += r.reinv;
+      parts[i]   = [{ trID: tid, shr: r.reinv }];
+      out[i].TrID = tid;
+      return;
+    }
+
+    if (r.type === "buy") {
+      const tid = r.tid || nextId(r);
+      const lot = lots[tid] || (lots[tid] = {
+        id: tid, sym: r.sym, account: r.account, date: r.date, price: r.price, open: 0, seq: i
+      });
+      lot.open += r.shr;
+      parts[i] = [{ trID: tid, shr: r.shr }];
+    }
+    else if (r.type === "sell") {
+      parts[i] = relieve(r);
+      out[i].LotAlloc = allocText(parts[i]);
+    }
+    else if (r.type === "split") {
+      // Rescale open lots (shares × ratio, price ÷ ratio; basis and TrID
+      // unchanged), then relieve any cash-in-lieu shares like a sell
+      const ratio = splitRatio_(r);
+      parts[i] = Object.values(lots)
+        .filter(l =>
+          l.sym === r.sym && (!r.account || l.account === r.account) &&
+          l.date <= r.date && roundShares_(l.open) > 0)
+        .map(l => {
+          l.open  *= ratio;
+          l.price /= ratio;
+          return { trID: l.id, shr: 0, ratio };
+        });
+      const cash = r.shr > 0 ? relieve(r) : [];
+      cash.forEach(c => {
+        const hit = parts[i].find(p => p.trID === c.trID);
+        if (hit) hit.shr = c.shr;
+        else parts[i].push({ trID: c.trID, shr: c.shr });
+      });
+      out[i].LotAlloc = allocText(cash);
+      out[i].TrID     = cash.length ? cash[0].trID : "";
+      return;
+    }
+    else {
+      // Unknown types keep a tranche ID of their own, as before
+      const tid = r.tid || nextId(r);
+      parts[i] = [{ trID: tid, shr: 0 }];
+    }
+    out[i].TrID = parts[i][0].trID;
+  });
+
+  // 3) RemShr & TStat — one running pass per tranche, in date order.
+  //    Sells dated on or before a row count against it, so rows sharing
+  //    a date are settled together before any of them is written. A sell
+  //    split across tranches reports the first tranche it relieved.
+  //    Share counts are tallied in pre-split units and rescaled for
+  //    display, so a split leaves the tranche's status unchanged.
+  const byTranche = {};
+  parts.forEach((rowParts, i) => {
+    (rowParts || []).forEach(p => {
+      (byTranche[p.trID] = byTranche[p.trID] || []).push({ i, shr: p.shr, ratio: p.ratio });
+    });
+  });
+
+  Object.keys(byTranche).forEach(id => {
+    const evs  = byTranche[id];
+    const adds = e => norm[e.i].type === "buy" || norm[e.i].type === "dividend";
+    evs.sort((a, b) => norm[a.i].date - norm[b.i].date || a.i - b.i);
+
+    let scale = 1;
+    evs.forEach(e => {
+      if (e.ratio) scale *= e.ratio;
+      e.scale = scale;
+      e.units = e.shr / scale;
+    });
+    const total = evs.reduce(
+      (sum, e) => sum + (adds(e) ? e.units : 0),
+      0
+    );
+
+    let sold = 0;
+    for (let k = 0; k < evs.length; ) {
+      const day = norm[evs[k].i].date.getTime();
+      let end = k;
+      while (end < evs.length && norm[evs[end].i].date.getTime() === day) {
+        if (!adds(evs[end])) sold += evs[end].units;
+        end++;
+      }
+
+      const now       = evs[end - 1].scale;
+      const remaining = roundShares_((total - sold) * now);
+      const status    =
+        remaining === 0                          ? "Closed" :
+        remaining < roundShares_(total * now)    ? "Partial" :
+                                                   "Open";
+      for (; k < end; k++) {
+        if (out[evs[k].i].TrID !== id) continue;
+        out[evs[k].i].RemShr = remaining;
+        out[evs[k].i].TStat  = status;
+      }
+    }
+  });
+
+  return out;
+}
+
+/** Lot-relief methods understood by computeLedgerMetrics(). */
+const LOT_METHODS = ["FIFO", "LIFO", "HIFO", "SPECIFIC"];
+
+/**
+ * Row indices sorted by date, keeping sheet order for same-day rows.
+ */
+function chronologicalOrder_(norm) {
+  return norm
+    .map((r, i) => i)
+    .sort((a, b) => norm[a].date - norm[b].date || a - b);
+}
+
+/**
+ * One synthetic buy per reinvested dividend ({ type: "buy", date, sym,
+ * shr, price, trID, tStat, account, drip }, drip = index of the dividend row), to be
+ * appended after the ledger rows so the DRIP shares take effect on the
+ * dividend's Date rather than its ex-date.
+ */
+function dripBuys_(rows) {
+  const out = [];
+  rows.forEach((r, i) => {
+    const reinv = parseFloat(r.reinv != null ? r.reinv : r.reinvShr) || 0;
+    if (String(r.type || "").toLowerCase() !== "dividend" || !(reinv > 0)) return;
+    out.push({
+      type:    "buy",
+      date:    r.date,
+      sym:     r.sym,
+      shr:     reinv,
+      price:   r.reinvPx,
+      trID:    r.trID,
+      tStat:   r.tStat,
+      account: r.account,
+      drip:    i
+    });
+  });
+  return out;
+}
+
+/**
+ * Returns row indices in the order events take effect for dividend
+ * eligibility, independent of how the sheet is sorted:
+ *   - buys/sells at their Date, dividends at their ExDate (Date if blank);
+ *   - on the same day a dividend with an ex-date comes first, so a buy on
+ *     the ex-date is not eligible while a sell on the ex-date still is;
+ *   - otherwise sheet order; rows without a valid date go last.
+ * @param {Object[]} rows  { type, date, exDate }
+ * @returns {number[]}
+ */
+function eligibilityOrder(rows) {
+  const keys = rows.map(r => {
+    const isDiv = String(r.type || "").toLowerCase() === "dividend";
+    const ex    = isDiv && r.exDate ? new Date(r.exDate) : null;
+    const when  = ex && !isNaN(ex) ? ex : new Date(r.date);
+    const day   = isNaN(when) ? Infinity : new Date(when).setHours(0, 0, 0, 0);
+    return { day, rank: ex && !isNaN(ex) ? 0 : 1 };
+  });
+  return rows
+    .map((r, i) => i)
+    .sort((a, b) =>
+      (keys[a].day === keys[b].day ? 0 : keys[a].day < keys[b].day ? -1 : 1) ||
+      keys[a].rank - keys[b].rank ||
+      a - b
+    );
+}
+
+/**
+ * Rounds share counts so float residue (e.g. 1e-13) reads as zero.
+ */
+function roundShares_(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * Parses a split ratio as new shares per old share: 2 or "2:1" for a
+ * 2-for-1 split, 0.1, "1:10" or "1-for-10" for a 1-for-10 reverse split.
+ * Returns NaN when blank or unparseable. (Enter "1:10" as text; Sheets
+ * otherwise reads it as a time.)
+ */
+function parseSplitRatio(value) {
+  if (typeof value === "number") return value > 0 ? value : NaN;
+  const text = String(value == null ? "" : value).trim();
+  const m    = text.match(/^(\d*\.?\d+)\s*(?::|\/|-?\s*for\s*-?)\s*(\d*\.?\d+)$/i);
+  const n    = m ? parseFloat(m[1]) / parseFloat(m[2]) : /^\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+  return n > 0 && isFinite(n) ? n : NaN;
+}
+
+/**
+ * A split row's ratio, or an error naming the row when it has none.
+ */
+function splitRatio_(r) {
+  if (r.ratio > 0) return r.ratio;
+  throw new Error(
+    `Split of ${r.sym}${r.row ? " on row " + r.row : ""} needs a Ratio ` +
+    `(new shares per old share, e.g. 2, 0.1 or "1-for-10").`
+  );
+}
+
+/**
+ * Relieves a sell against the symbol's open lots in the order given by
+ * `method`, reducing each lot's open shares. Shares left over once every
+ * open lot is exhausted go to a new, unmatched tranche ID so the oversell
+ * stays visible instead of being dropped.
+ * @returns {{trID: string, shr: number}[]}
+ */
+function allocateSell_(sell, lots, method, nextId) {
+  const open = Object.values(lots).filter(l =>
+    l.sym === sell.sym && l.account === sell.account &&
+    l.date <= sell.date && roundShares_(l.open) > 0
+  );
+  const fifo = (a, b) => a.date - b.date || a.seq - b.seq;
+  open.sort(
+    method === "LIFO" ? (a, b) => fifo(b, a) :
+    method === "HIFO" ? (a, b) => b.price - a.price || fifo(a, b) :
+                        fifo
+  );
+
+  const out  = [];
+  let   left = sell.shr;
+  for (const lot of open) {
+    if (roundShares_(left) <= 0) break;
+    const take = Math.min(left, lot.open);
+    lot.open  -= take;
+    left      -= take;
+    out.push({ trID: lot.id, shr: take });
+  }
+  if (roundShares_(left) > 0 || !out.length) {
+    out.push({ trID: nextId(sell), shr: left });
+  }
+  return out;
+}
+
+/**
+ * Parses a LotAlloc string ("TrID:shares, TrID:shares") back into parts.
+ * Returns null for a blank value.
+ * @returns {{trID: string, shr: number}[]|null}
+ */
+function parseLotAlloc(text) {
+  const s = String(text == null ? "" : text).trim();
+  if (!s) return null;
+  return s.split(",").map(part => {
+    const at = part.lastIndexOf(":");
+    return {
+      trID: part.slice(0, at).trim(),
+      shr:  parseFloat(part.slice(at + 1)) || 0
+    };
+  });
+}
+
+/** Tax treatments an account can have (Accounts sheet → TaxTreatment). */
+const TAX_TREATMENTS = ["taxable", "ira", "roth"];
+
+/**
+ * Tranche-ID prefix for a named account: "Schwab IRA" → "SCHWABIRA".
+ */
+function accountTag(account) {
+  return String(account == null ? "" : account).toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * True when gains and income in `account` are taxed as received. The
+ * blank account and any account missing from `treatments`
+ * ({ account → "taxable" | "ira" | "roth" }) count as taxable.
+ */
+function isTaxableAccount(account, treatments) {
+  const t = (treatments || {})[String(account == null ? "" : account).trim()];
+  return !t || t === "taxable";
+}
+
+/**
+ * computeTrancheState()
+ *
+ * Buckets buys/sells into tranches by TrID and prorates each dividend's
+ * ROC and income across the symbol's tranches that held shares on its
+ * ex-date. Rows are processed in eligibilityOrder(), not sheet order, so
+ * an unsorted ledger allocates the same way as a sorted one.
+ *
+ * @param {Object[]} txns  Ledger rows in any order:
+ *   { type, trID, sym, date, exDate, shr, price, rocAmt, inc, tStat, lotAlloc,
+ *     ratio, reinvShr, reinvPx, account }
+ *   Dividends are spread only over tranches of the row's account.
+ *   exDate is optional; without it a dividend uses its Date.
+ *   A sell's lotAlloc (see computeLedgerMetrics) splits it across tranches;
+ *   without one the whole sell goes to trID.
+ *   A dividend with reinvShr/reinvPx is also a buy of its DRIP tranche
+ *   (trID) on its Date.
+ *   A split multiplies ShBuy/ShSold and divides BuyPx/SellPx of the
+ *   symbol's open tranches by ratio; TrID, BuyDt and basis carry over.
+ *   Its lotAlloc, if any, is cash-in-lieu sold at price.
+ * @returns {{tranches: Object[], rocMap: Object, incMap: Object,
+ *            openBasis: Object, realized: Object[], excessMap: Object,
+ *            excessRoc: Object[], distLog: Object, perShareLog: Object,
+ *            cashFlows: Object}}
+ *   tranches: { ID, Sym, Account, BuyDt, ShBuy, BuyPx, ShSold, SellPx, CostBasis, Status }
+ *             (SellPx is the share-weighted average sale price)
+ *   rocMap / incMap: { TrID → cumulative ROC applied to basis / non-ROC income }
+ *             ROC is floored so adjusted basis never goes below zero
+ *   openBasis: { TrID → cost − ROC still attached to the open shares }
+ *             (what sold shares took with them is in realized)
+ *   excessMap: { TrID → ROC received beyond zero basis }
+ *   excessRoc: one dated entry per dividend that pushed a tranche past zero
+ *             basis: { Date, Sym, Account, TrID, ROCAlloc, BasisLeft, ExcessROC }
+ *   realized: one entry per sell lot (a sell split across tranches yields
+ *             one per tranche), see relieveLot_()
+ *   distLog:  { TrID → [{ date, amount }] } each distribution's share
+ *             (ROC + income) as allocated to the tranche
+ *   perShareLog: { "account|SYM" → [{ date, perShare }] } distribution
+ *             per open share, for run-rate yields independent of buy date
+ *   cashFlows: { TrID → [{ date, amount }] } the tranche's dated cash:
+ *             buys negative, sale proceeds and distributions positive
+ */
+function computeTrancheState(txns) {
+  const trancheMap  = {};
+  const rocMap      = {};
+  const incMap      = {};
+  const book        = {};  // { TrID → { cost, roc, proceeds } still attached to open shares }
+  const realized    = [];
+  const excessMap   = {};  // { TrID → cumulative ROC beyond zero basis }
+  const excessRoc   = [];
+  const distLog     = {};  // { TrID → [{ date, amount }] }
+  const perShareLog = {};  // { "account|SYM" → [{ date, perShare }] }
+  const cashFlows   = {};  // { TrID → [{ date, amount }] }
+  const events      = txns.concat(dripBuys_(txns));
+  const flow        = (id, date, amount) => (cashFlows[id] = cashFlows[id] || []).push({ date, amount });
+
+  eligibilityOrder(events).forEach(i => {
+    const row  = events[i];
+    const type = String(row.type || "").toLowerCase();
+    const acct = String(row.account == null ? "" : row.account).trim();
+
+    // Dividends distribute ROC + income across all open tranches of that symbol
+    if (type === "dividend") {
+      const rawROC = parseAmount(row.rocAmt);
+      const rawInc = parseAmount(row.inc);
+      const sym    = row.sym;
+
+      const openIDs = Object.keys(trancheMap).filter(id => {
+        const t = trancheMap[id];
+        return t.Sym === sym && t.Account === acct && t.ShBuy - t.ShSold > 0;
+      });
+      const totalRem = openIDs.reduce(
+        (sum, id) => sum + (trancheMap[id].ShBuy - trancheMap[id].ShSold),
+        0
+      );
+
+      if (totalRem > 0) {
+        const date  = new Date(row.date);
+        const psKey = `${acct}|${sym}`;
+        (perShareLog[psKey] = perShareLog[psKey] || []).push({ date, perShare: (rawROC + rawInc) / totalRem });
+
+        openIDs.forEach(id => {
+          const t     = trancheMap[id];
+          const share = (t.ShBuy - t.ShSold) / totalRem;
+          incMap[id]  = (incMap[id] || 0) + rawInc * share;
+          (distLog[id] = distLog[id] || []).push({ date, amount: (rawROC + rawInc) * share });
+          flow(id, date, (rawROC + rawInc) * share);
+
+          // ROC reduces basis only down to zero; the rest is a capital
+          // gain in the year it is received
+          const alloc   = rawROC * share;
+          const room    = Math.max(0, book[id].cost - book[id].roc);
+          const applied = Math.min(alloc, room);
+          const excess  = alloc - applied;
+          rocMap[id]    = (rocMap[id] || 0) + applied;
+          book[id].roc += applied;
+          if (excess > 1e-9) {
+            excessMap[id] = (excessMap[id] || 0) + excess;
+            excessRoc.push({
+              Date:      new Date(row.date),
+              Sym:       t.Sym,
+              Account:   t.Account,
+              TrID:      id,
+              ROCAlloc:  alloc,
+              BasisLeft: room,
+              ExcessROC: excess
+            });
+          }
+        });
+      }
+      return;
+    }
+
+    const tranche = id => {
+      if (!trancheMap[id]) {
+        trancheMap[id] = {
+          ID:        id,
+          Sym:       row.sym,
+          Account:   acct,
+          BuyDt:     null,
+          ShBuy:     0,
+          BuyPx:     0,
+          ShSold:    0,
+          SellPx:    0,
+          CostBasis: 0,
+          Status:    ""
+        };
+        book[id] = { cost: 0, roc: 0, proceeds: 0 };
+      }
+      return trancheMap[id];
+    };
+    const sellParts = (parts, price, sellDt) => parts.forEach(p => {
+      const t = tranche(p.trID);
+      realized.push(relieveLot_(t, book[p.trID], p.shr, price, sellDt));
+      flow(p.trID, sellDt, p.shr * price);
+      t.ShSold += p.shr;
+      t.SellPx  = t.ShSold ? book[p.trID].proceeds / t.ShSold : 0;
+    });
+
+    if (type === "split") {
+      const ratio = parseSplitRatio(row.ratio);
+      if (!(ratio > 0)) return;
+      Object.values(trancheMap).forEach(t => {
+        if (t.Sym !== row.sym || (acct && t.Account !== acct) || !(t.ShBuy - t.ShSold > 0)) return;
+        t.ShBuy  *= ratio;
+        t.ShSold *= ratio;
+        t.BuyPx  /= ratio;
+        t.SellPx /= ratio;
+      });
+      sellParts(parseLotAlloc(row.lotAlloc) || [], parseAmount(row.price), new Date(row.date));
+      if (trancheMap[row.trID]) trancheMap[row.trID].Status = row.tStat || trancheMap[row.trID].Status;
+      return;
+    }
+
+    // Buys & sells (requires TrID)
+    const tid = row.trID;
+    if (!tid) return;
+
+    if (type === "buy") {
+      const t     = tranche(tid);
+      const qty   = +row.shr || 0;
+      const price = parseAmount(row.price);
+      t.ShBuy     += qty;
+      t.CostBasis += qty * price;
+      book[tid].cost += qty * price;
+      t.BuyPx      = price || t.BuyPx;
+      const dt     = new Date(row.date);
+      t.BuyDt      = !t.BuyDt || dt < t.BuyDt ? dt : t.BuyDt;
+      t.Status     = row.tStat || t.Status;
+      flow(tid, dt, -qty * price);
+    }
+    else if (type === "sell") {
+      const parts = parseLotAlloc(row.lotAlloc) || [{ trID: tid, shr: +row.shr || 0 }];
+      sellParts(parts, parseAmount(row.price), new Date(row.date));
+      trancheMap[tid].Status = row.tStat || trancheMap[tid].Status;
+    }
+    else {
+      tranche(tid);
+    }
+  });
+
+  const openBasis = {};
+  Object.keys(book).forEach(id => {
+    const t = trancheMap[id];
+    openBasis[id] = t.ShBuy - t.ShSold > 0 ? Math.max(0, book[id].cost - book[id].roc) : 0;
+  });
+
+  return {
+    tranches: Object.values(trancheMap), rocMap, incMap, openBasis, realized, excessMap, excessRoc,
+    distLog, perShareLog, cashFlows
+  };
+}
+
+/**
+ * Relieves `shr` shares of tranche `t` at `price`: the sold fraction of
+ * the cost and of the ROC still attached to open shares leaves the book,
+ * and the realized gain is proceeds − (cost − ROC).
+ * @returns {Object} { Sym, Account, TrID, BuyDt, SellDt, ShSold, SellPx, Proceeds,
+ *   CostBasis, ROCAdj, AdjBasis, RealizedGain, HeldDays, Term }
+ */
+function relieveLot_(t, lot, shr, price, sellDt) {
+  const open     = t.ShBuy - t.ShSold;
+  const frac     = open > 0 ? Math.min(1, shr / open) : 0;
+  const cost     = lot.cost * frac;
+  const roc      = lot.roc  * frac;
+  const proceeds = shr * price;
+
+  lot.cost     -= cost;
+  lot.roc      -= roc;
+  lot.proceeds += proceeds;
+
+  return {
+    Sym:          t.Sym,
+    Account:      t.Account,
+    TrID:         t.ID,
+    BuyDt:        t.BuyDt,
+    SellDt:       sellDt,
+    ShSold:       shr,
+    SellPx:       price,
+    Proceeds:     proceeds,
+    CostBasis:    cost,
+    ROCAdj:       roc,
+    AdjBasis:     cost - roc,
+    RealizedGain: proceeds - (cost - roc),
+    HeldDays:     t.BuyDt ? Math.floor((sellDt - t.BuyDt) / 86400000) : "",
+    Term:         holdingTerm(t.BuyDt, sellDt)
+  };
+}
+
+/**
+ * Holding period under the "more than one year" rule: "Long" when the
+ * sale falls after the one-year anniversary of the purchase, else "Short".
+ */
+function holdingTerm(buyDt, sellDt) {
+  if (!buyDt) return "";
+  const anniv = new Date(buyDt);
+  anniv.setFullYear(anniv.getFullYear() + 1);
+  return new Date(sellDt) > anniv ? "Long" : "Short";
+}
+
+/**
+ * detectWashSales()
+ *
+ * Wash-sale pass over computeTrancheState() output. Sell lots are taken
+ * in date order; a lot sold at a loss is matched against other tranches
+ * of the same symbol bought within ±windowDays of the sale, earliest
+ * first, each replacement share used once. Only shares still held after
+ * the sale can replace: a tranche relieved by the same sale (or sold
+ * before it) offers just what it has left. The disallowed loss is the
+ * loss per share × matched shares (so a partial replacement disallows
+ * only its share of the loss), and is carried into the replacement
+ * shares' basis together with the sold lot's holding period. When those
+ * replacement shares are sold later the carried basis is relieved with
+ * them, so a chain of washes is followed through.
+ *
+ * Only losses in taxable accounts are tested, but a replacement in any
+ * account counts; a loss washed by a tax-advantaged (IRA/Roth) purchase
+ * is disallowed without being added to any basis.
+ *
+ * @param {{tranches: Object[], realized: Object[]}} state
+ * @param {Object} [opts]
+ *   windowDays       → default 30
+ *   isTaxable(acct)  → default: every account is taxable
+ * @returns {{washSales: Object[], lots: Object[], openAdj: Object, openHoldFrom: Object}}
+ *   washSales: one per (loss lot, replacement tranche) match:
+ *     { SellDt, Sym, Account, SoldTrID, ShSold, Loss, ReplAccount, ReplTrID,
+ *       ReplBuyDt, ReplShr, Disallowed, HoldFrom }
+ *     (HoldFrom = replacement's tacked start date; blank when the
+ *     replacement is tax-advantaged and the loss is lost for good)
+ *   lots: aligned with state.realized:
+ *     { WashDisallowed, WashBasisAdj, TaxableGain, Term }
+ *     TaxableGain = RealizedGain − WashBasisAdj + WashDisallowed;
+ *     Term uses the tacked holding period when every share sold carried one
+ *   openAdj / openHoldFrom: { TrID → carried basis / earliest tacked date }
+ *     still attached to open shares
+ */
+function detectWashSales(state, opts) {
+  const windowMs  = ((opts && opts.windowDays) || 30) * 86400000;
+  const isTaxable = (opts && opts.isTaxable) || (() => true);
+  const eps      = 1e-9;
+  const capacity = {};  // TrID → replacement shares not yet matched
+  const carry    = {};  // TrID → [{ shr, perShare, holdFrom, washDt }] waiting for sale
+  const washSales = [];
+  const soldBy    = (id, dt) => state.realized.reduce(
+    (sum, x) => (x.TrID === id && x.SellDt <= dt ? sum + x.ShSold : sum), 0);
+  const lots      = state.realized.map(r => ({
+    WashDisallowed: 0,
+    WashBasisAdj:   0,
+    TaxableGain:    r.RealizedGain,
+    Term:           r.Term
+  }));
+
+  state.realized
+    .map((r, i) => i)
+    .sort((a, b) => state.realized[a].SellDt - state.realized[b].SellDt || a - b)
+    .forEach(i => {
+      const r   = state.realized[i];
+      const lot = lots[i];
+
+      // 1) Relieve basis and holding period carried in by earlier washes;
+      //    shares sold in the washing sale itself never carried any
+      const queue = carry[r.TrID] || [];
+      let need = r.ShSold;
+      let hold = null;
+      while (need > eps && queue.length && queue[0].washDt < r.SellDt) {
+        const c    = queue[0];
+        const take = Math.min(need, c.shr);
+        lot.WashBasisAdj += take * c.perShare;
+        hold  = !hold || c.holdFrom < hold ? c.holdFrom : hold;
+        c.shr -= take;
+        need  -= take;
+        if (c.shr <= eps) queue.shift();
+      }
+      if (hold && need <= eps) lot.Term = holdingTerm(hold, r.SellDt);
+
+      const gain = r.RealizedGain - lot.WashBasisAdj;
+      if (gain > -0.005 || !(r.ShSold > 0) || !isTaxable(r.Account)) {
+        lot.TaxableGain = gain;
+        return;
+      }
+
+      // 2) Loss: match replacement buys inside the window
+      const lossPerShare = -gain / r.ShSold;
+      const heldMs       = r.SellDt - (hold && need <= eps ? hold : r.BuyDt);
+      let left = r.ShSold;
+
+      state.tranches
+        .filter(t =>
+          t.Sym === r.Sym && t.ID !== r.TrID && t.BuyDt &&
+          Math.abs(t.BuyDt - r.SellDt) <= windowMs)
+        .sort((a, b) => a.BuyDt - b.BuyDt)
+        .forEach(t => {
+          const cap = Math.min(
+            t.ID in capacity ? capacity[t.ID] : t.ShBuy,
+            t.ShBuy - soldBy(t.ID, r.SellDt)
+          );
+          if (left <= eps || cap <= eps) return;
+
+          const shr        = Math.min(left, cap);
+          const disallowed = lossPerShare * shr;
+          const carried    = isTaxable(t.Account);
+          const holdFrom   = carried ? new Date(t.BuyDt - heldMs) : "";
+          capacity[t.ID]   = (t.ID in capacity ? capacity[t.ID] : t.ShBuy) - shr;
+          left            -= shr;
+          lot.WashDisallowed += disallowed;
+          if (carried) {
+            (carry[t.ID] = carry[t.ID] || []).push({ shr, perShare: lossPerShare, holdFrom, washDt: r.SellDt });
+          }
+
+          washSales.push({
+            SellDt:      r.SellDt,
+            Sym:         r.Sym,
+            Account:     r.Account,
+            SoldTrID:    r.TrID,
+            ShSold:      r.ShSold,
+            Loss:        gain,
+            ReplAccount: t.Account,
+            ReplTrID:    t.ID,
+            ReplBuyDt:   t.BuyDt,
+            ReplShr:     shr,
+            Disallowed:  disallowed,
+            HoldFrom:    holdFrom
+          });
+        });
+
+      lot.TaxableGain = gain + lot.WashDisallowed;
+    });
+
+  // 3) Whatever is still carried sits in the basis of open shares
+  const openAdj      = {};
+  const openHoldFrom = {};
+  Object.keys(carry).forEach(id => {
+    carry[id].forEach(c => {
+      if (c.shr <= eps) return;
+      openAdj[id]      = (openAdj[id] || 0) + c.shr * c.perShare;
+      openHoldFrom[id] = !openHoldFrom[id] || c.holdFrom < openHoldFrom[id] ? c.holdFrom : openHoldFrom[id];
+    });
+  });
+
+  return { washSales, lots, openAdj, openHoldFrom };
+}
+
+/**
+ * buildTrancheStateRows()
+ *
+ * Turns computeTrancheState() output into TrancheState rows.
+ *
+ * @param {{tranches: Object[], rocMap: Object, incMap: Object, openBasis: Object}} state
+ * @param {Object} opts
+ *   priceOf(sym) → current price, or null when there is none; open
+ *                  tranches without a price show CurrPx "NoPrice" and
+ *                  blank MktValue/UnrealizedGainLoss/PctToExit
+ *   today        → Date used for HeldDays (default: now)
+ *   formatDate(date) → BuyDt display value (default: the Date itself)
+ *   wash         → detectWashSales() result; its openAdj is added to
+ *                  AdjBasis as WashAdj, openHoldFrom shown as HoldFrom
+ *   priceUpdatedOf(sym) → the price's LastUpdate (shown as PxAsOf)
+ *   maxPriceAgeHours    → open tranches priced longer ago than this are
+ *                         flagged StalePx (default 72; see isStalePrice)
+ * @returns {Object[]} Rows keyed by TrancheState header.
+ *
+ * AdjBasis is the open shares' cost less their ROC (state.openBasis) plus
+ * WashAdj; basis that left with sold shares is not counted, so it matches
+ * ExcessROC and the MktValue it is compared against.
+ *
+ * Yield columns (see trailingDist_, annualRunRate_):
+ *   Dist4W / Dist52W  distributions (ROC + income) the tranche received in
+ *                     the trailing 28 / 364 days
+ *   AnnualDist        ShRem × the symbol's annual per-share run rate: its
+ *                     average payment over the trailing 52 weeks × its
+ *                     payment frequency, so a tranche bought last week
+ *                     still shows the full run rate
+ *   YieldOnCost       AnnualDist ÷ original cost of the open shares
+ *   YieldOnAdjBasis   AnnualDist ÷ AdjBasis, which like YieldOnCost covers
+ *                     only the open shares (blank at zero basis)
+ *   CurrentYield      AnnualDist ÷ MktValue (blank without a price)
+ *
+ * Total-return columns, from the tranche's cashFlows plus MktValue today
+ * (blank for an open tranche without a price):
+ *   TotalReturn       MktValue + sale proceeds + all distributions − cost
+ *   TotalReturnPct    TotalReturn ÷ cost
+ *   XIRR              annualized internal rate of return (see xirr)
+ *   PaybackDt         date distributions + proceeds reached cost; if not
+ *                     yet, projected at the AnnualDist pace (blank when
+ *                     closed or nothing is being paid)
+ */
+function buildTrancheStateRows(state, opts) {
+  const today   = (opts && opts.today) || new Date();
+  const priceOf = opts.priceOf;
+  const fmtDate = (opts && opts.formatDate) || (d => d || "");
+  const wash    = (opts && opts.wash) || { openAdj: {}, openHoldFrom: {} };
+  const pxAsOf  = (opts && opts.priceUpdatedOf) || (() => "");
+  const maxAge  = (opts && opts.maxPriceAgeHours) || 72;
+
+  return state.tranches.map(t => {
+    const rem        = t.ShBuy - t.ShSold;
+    const roc        = state.rocMap[t.ID] || 0;
+    const inc        = state.incMap[t.ID] || 0;
+    const excessRoc  = (state.excessMap || {})[t.ID] || 0;
+    const costBasis  = t.CostBasis;
+    const washAdj    = wash.openAdj[t.ID] || 0;
+    const adjBasis   = ((state.openBasis || {})[t.ID] || 0) + washAdj;
+    const currPx     = priceOf(t.Sym);
+    const noPrice    = !(currPx > 0);
+    const mktValue   = rem * (noPrice ? 0 : currPx);
+    const unrealGain = mktValue - adjBasis;
+    const updated    = pxAsOf(t.Sym);
+    const unpriced   = rem > 0 && noPrice;
+    const stale      = rem > 0 && !noPrice && isStalePrice(updated, today, maxAge);
+
+    // PctToExit ignores CumIncome, clamped 0–1
+    const rawPct    = adjBasis ? (adjBasis - mktValue) / adjBasis : 0;
+    const pctToExit = Math.max(0, Math.min(1, rawPct));
+
+    const heldDays = t.BuyDt
+      ? Math.floor((today - t.BuyDt) / 86400000)
+      : "";
+
+    // Distribution run rate and yields on the open shares
+    const log        = (state.distLog || {})[t.ID] || [];
+    const perShare   = (state.perShareLog || {})[`${t.Account}|${t.Sym}`] || [];
+    const annualDist = rem > 0 ? rem * annualRunRate_(perShare, today) : 0;
+    const openCost   = t.ShBuy > 0 ? costBasis * rem / t.ShBuy : 0;
+    const yieldOf    = base => (rem > 0 && base > 0 ? annualDist / base : "");
+
+    // Total return from dated cash flows, valuing open shares at CurrPx
+    const flows       = (state.cashFlows || {})[t.ID] || [];
+    const paidIn      = flows.reduce((sum, f) => (f.amount < 0 ? sum - f.amount : sum), 0);
+    const paidOut     = flows.reduce((sum, f) => (f.amount > 0 ? sum + f.amount : sum), 0);
+    const totalReturn = paidOut + mktValue - paidIn;
+    const irr         = unpriced ? NaN
+      : xirr(rem > 0 ? flows.concat([{ date: today, amount: mktValue }]) : flows);
+
+    return {
+      ID:                t.ID,
+      Sym:               t.Sym,
+      Account:           t.Account,
+      BuyDt:             fmtDate(t.BuyDt),
+      ShBuy:             t.ShBuy,
+      BuyPx:             t.BuyPx,
+      ShSold:            t.ShSold,
+      SellPx:            t.SellPx || "",
+      ShRem:             rem,
+      CurrPx:            noPrice ? "NoPrice" : currPx,
+      PxAsOf:            updated || "",
+      StalePx:           unpriced ? "NoPrice" : stale ? "STALE" : "",
+      CostBasis:         costBasis,
+      ROC:               roc,
+      ExcessROC:         excessRoc,
+      WashAdj:           washAdj,
+      AdjBasis:          adjBasis,
+      CumIncome:         inc,
+      MktValue:          unpriced ? "" : mktValue,
+      UnrealizedGainLoss:unpriced ? "" : unrealGain,
+      PctToExit:         unpriced ? "" : pctToExit,
+      Dist4W:            trailingDist_(log, "amount", today, 28),
+      Dist52W:           trailingDist_(log, "amount", today, 364),
+      AnnualDist:        annualDist,
+      YieldOnCost:       yieldOf(openCost),
+      YieldOnAdjBasis:   yieldOf(adjBasis),
+      CurrentYield:      unpriced ? "" : yieldOf(mktValue),
+      TotalReturn:       unpriced ? "" : totalReturn,
+      TotalReturnPct:    unpriced || !paidIn ? "" : totalReturn / paidIn,
+      XIRR:              isNaN(irr) ? "" : irr,
+      PaybackDt:         fmtDate(paybackDate_(flows, paidIn, rem > 0 ? annualDist : 0, today)),
+      Status:            t.Status,
+      HeldDays:          heldDays,
+      HoldFrom:          fmtDate(wash.openHoldFrom[t.ID])
+    };
+  });
+}
+
+/**
+ * Sums `field` over log entries dated within the `days` before `today`
+ * (exclusive of the window start, inclusive of today).
+ */
+function trailingDist_(log, field, today, days) {
+  const from = today - days * 86400000;
+  return log.reduce((sum, e) => (e.date > from && e.date <= today ? sum + e[field] : sum), 0);
+}
+
+/**
+ * Annual per-share distribution rate from a perShareLog: the average
+ * payment over the trailing 364 days × payments per year. The frequency
+ * (weekly, biweekly, monthly, quarterly, semiannual or annual) is the one
+ * nearest the median gap between payment days; payments due since the
+ * last one but not received count as zero, so a fund that stops paying
+ * fades out. A single payment in the window is taken as the year's total.
+ */
+function annualRunRate_(log, today) {
+  const from  = today - 364 * 86400000;
+  const byDay = {};
+  log.forEach(e => {
+    if (!(e.date > from && e.date <= today)) return;
+    const day = new Date(e.date).setHours(0, 0, 0, 0);
+    byDay[day] = (byDay[day] || 0) + e.perShare;
+  });
+  const days  = Object.keys(byDay).map(Number).sort((a, b) => a - b);
+  const total = days.reduce((sum, d) => sum + byDay[d], 0);
+  if (days.length < 2) return total;
+
+  const gaps    = days.slice(1).map((d, i) => (d - days[i]) / 86400000).sort((a, b) => a - b);
+  const median  = gaps[Math.floor(gaps.length / 2)];
+  const perYear = [52, 26, 12, 4, 2, 1].reduce((best, f) =>
+    Math.abs(Math.log(median * f / 365)) < Math.abs(Math.log(median * best / 365)) ? f : best);
+  const missed  = Math.max(0, Math.floor((today - days[days.length - 1]) / 86400000 * perYear / 365) - 1);
+  return total / (days.length + missed) * perYear;
+}
+
+/**
+ * Date the positive flows (distributions, proceeds) add up to `cost`, or,
+ * when they have not yet, today plus the shortfall at `annualPace` per
+ * year. Returns "" when neither applies.
+ */
+function paybackDate_(flows, cost, annualPace, today) {
+  if (!(cost > 0)) return "";
+  let back = 0;
+  const sorted = flows.filter(f => f.amount > 0).sort((a, b) => a.date - b.date);
+  for (let i = 0; i < sorted.length; i++) {
+    back += sorted[i].amount;
+    if (back >= cost - 1e-9) return sorted[i].date;
+  }
+  if (!(annualPace > 0)) return "";
+  return new Date(today.getTime() + (cost - back) / annualPace * 365.25 * 86400000);
+}
+
+/**
+ * xirr()
+ *
+ * Annualized internal rate of return of dated cash flows (the rate r at
+ * which Σ amount ÷ (1 + r)^(days ÷ 365) = 0), as in the XIRR sheet
+ * function. Solved by bisection, so it always converges when a root is
+ * bracketed between −99.99% and 1,000,000%.
+ *
+ * @param {{date: Date, amount: number}[]} flows
+ * @returns {number} The rate, or NaN without both an outflow and an
+ *   inflow or when no rate balances the flows.
+ */
+function xirr(flows) {
+  const cf = flows.filter(f => f.amount && !isNaN(f.amount) && !isNaN(new Date(f.date)));
+  if (!cf.some(f => f.amount < 0) || !cf.some(f => f.amount > 0)) return NaN;
+
+  const t0  = Math.min.apply(null, cf.map(f => +new Date(f.date)));
+  const npv = r => cf.reduce((sum, f) =>
+    sum + f.amount / Math.pow(1 + r, (new Date(f.date) - t0) / (365 * 86400000)), 0);
+
+  let lo = -0.9999;
+  let hi = 1;
+  while (npv(lo) * npv(hi) > 0 && hi < 1e4) hi *= 10;
+  if (npv(lo) * npv(hi) > 0) return NaN;
+
+  for (let i = 0; i < 200 && hi - lo > 1e-10; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else                         lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Local midnight of `value` (a Date, or a "yyyy-MM-dd" day key) in ms;
+ * NaN when unparseable.
+ */
+function dayStart_(value) {
+  const m = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date(value);
+  return isNaN(d) ? NaN : new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+/**
+ * makePriceLookup()
+ *
+ * Builds priceAt(sym, date) for valuing holdings on past dates. The price
+ * is the latest observation on or before the day: a PriceHistory close,
+ * or failing that a buy/sell/DRIP price from the ledger (a close wins a
+ * tie). Observations from before a split are divided by its ratio. On or
+ * after `today`, and for a symbol with no earlier observation, the
+ * current price is used.
+ *
+ * @param {Array[]}  history    PriceHistory rows [day, Sym, Close].
+ * @param {Object[]} rows       Ledger rows (see computeTrancheState).
+ * @param {Function} currentOf  sym → current price or null.
+ * @param {Date}     today
+ * @returns {Function} (sym, date) → price, NaN when there is none at all.
+ */
+function makePriceLookup(history, rows, currentOf, today) {
+  const obs    = {};  // { SYM → [{ t, px, close }] }
+  const splits = {};  // { SYM → [{ t, ratio }] }
+  const key    = sym => String(sym == null ? "" : sym).trim().toUpperCase();
+  const add    = (sym, when, px, close) => {
+    const t = dayStart_(when);
+    if (!key(sym) || isNaN(t) || !(px > 0)) return;
+    (obs[key(sym)] = obs[key(sym)] || []).push({ t, px, close });
+  };
+
+  history.forEach(([day, sym, close]) => add(sym, day, parseFloat(close), true));
+  rows.forEach(r => {
+    const type = String(r.type || "").toLowerCase();
+    if (type === "buy" || type === "sell") add(r.sym, r.date, parseAmount(r.price), false);
+    if (type === "dividend")               add(r.sym, r.date, parseAmount(r.reinvPx), false);
+    if (type === "split" && parseSplitRatio(r.ratio) > 0) {
+      (splits[key(r.sym)] = splits[key(r.sym)] || []).push({ t: dayStart_(r.date), ratio: parseSplitRatio(r.ratio) });
+    }
+  });
+  Object.keys(obs).forEach(k => obs[k].sort((a, b) => a.t - b.t || a.close - b.close));
+
+  return (sym, date) => {
+    const k   = key(sym);
+    const t   = dayStart_(date);
+    const cur = currentOf(k);
+    if (t >= dayStart_(today) && cur > 0) return cur;
+
+    const seen = (obs[k] || []).filter(o => o.t <= t);
+    if (!seen.length) return cur > 0 ? cur : NaN;
+    const last = seen[seen.length - 1];
+    return (splits[k] || [])
+      .filter(sp => sp.t > last.t && sp.t <= t)
+      .reduce((px, sp) => px / sp.ratio, last.px);
+  };
+}
+
+/**
+ * computeWindowReturns()
+ *
+ * Money- and time-weighted return of the ledger's holdings (one symbol,
+ * or all of them) between two dates. External cash flows are buys (in),
+ * sells and split cash-in-lieu (out) and the cash part of distributions
+ * (out); reinvested (DRIP) distributions stay in the portfolio. Holdings
+ * already owned at `start` enter at their value that day, and whatever
+ * is held at `end` leaves at its value.
+ *
+ *   XIRR  xirr() of those flows
+ *   TWR   product over the periods between flow dates of
+ *         (value before the day's trades + distributions that day)
+ *         ÷ value after the previous flow date's trades, minus 1
+ *
+ * @param {Object[]} rows  Ledger rows { date, type, sym, account, shr,
+ *                         price, dist, reinvShr, reinvPx, ratio }.
+ * @param {Object}   opts  { priceAt (see makePriceLookup), start, end,
+ *                         sym (blank = whole portfolio) }
+ * @returns {{StartValue: number, Bought: number, Sold: number,
+ *            CashDist: number, Distributions: number, EndValue: number,
+ *            Gain: number, XIRR: number, TWR: number, missing: string[]}}
+ *   XIRR/TWR are NaN when there is nothing to measure; missing lists
+ *   symbols that had no price at all and were valued at zero.
+ */
+function computeWindowReturns(rows, opts) {
+  const key     = v => String(v == null ? "" : v).trim().toUpperCase();
+  const only    = key(opts.sym);
+  const start   = dayStart_(opts.start);
+  const end     = dayStart_(opts.end);
+  const held    = {};  // { "account|SYM" → shares }
+  const missing = [];
+
+  const events = rows
+    .map((r, i) => ({ r, i, t: dayStart_(r.date), type: String(r.type || "").toLowerCase() }))
+    .filter(e => !isNaN(e.t) && e.t <= end && (!only || key(e.r.sym) === only))
+    .sort((a, b) => a.t - b.t || a.i - b.i);
+
+  const apply = e => {
+    const r   = e.r;
+    const k   = `${String(r.account == null ? "" : r.account).trim()}|${key(r.sym)}`;
+    const shr = parseFloat(r.shr) || 0;
+    if (e.type === "buy")      held[k] = (held[k] || 0) + shr;
+    if (e.type === "sell")     held[k] = (held[k] || 0) - shr;
+    if (e.type === "dividend") held[k] = (held[k] || 0) + (parseFloat(r.reinvShr) || 0);
+    if (e.type === "split")    held[k] = (held[k] || 0) - shr;
+  };
+  // A split takes effect at the open, before the day's prices and trades;
+  // its cash-in-lieu is then relieved by apply() like a sell
+  const rescale = e => {
+    if (e.type !== "split" || e.scaled) return;
+    const ratio = parseSplitRatio(e.r.ratio);
+    const acct  = String(e.r.account == null ? "" : e.r.account).trim();
+    Object.keys(held).forEach(h => {
+      const [a, s] = h.split("|");
+      if (s === key(e.r.sym) && (!acct || a === acct) && ratio > 0) held[h] *= ratio;
+    });
+    e.scaled = true;
+  };
+  const flowOf = e => {
+    const r = e.r;
+    if (e.type === "buy")                      return -(parseFloat(r.shr) || 0) * parseAmount(r.price);
+    if (e.type === "sell" || e.type === "split") return (parseFloat(r.shr) || 0) * parseAmount(r.price);
+    if (e.type === "dividend") {
+      return parseAmount(r.dist) - (parseFloat(r.reinvShr) || 0) * parseAmount(r.reinvPx);
+    }
+    return 0;
+  };
+  const valueAt = t => Object.keys(held).reduce((sum, h) => {
+    if (!(held[h] > 1e-9)) return sum;
+    const sym = h.split("|")[1];
+    const px  = opts.priceAt(sym, new Date(t));
+    if (!(px > 0)) {
+      if (!missing.includes(sym)) missing.push(sym);
+      return sum;
+    }
+    return sum + held[h] * px;
+  }, 0);
+
+  // 1) Holdings going into the window (splits on the start day included)
+  events.forEach(e => {
+    if (e.t <= start) rescale(e);
+    if (e.t < start)  apply(e);
+  });
+  const startValue = valueAt(start);
+
+  // 2) Flow dates inside the window
+  const flows = startValue > 0 ? [{ date: new Date(start), amount: -startValue }] : [];
+  const tally = { Bought: 0, Sold: 0, CashDist: 0, Distributions: 0 };
+  let growth   = 1;
+  let measured = false;
+  let vPost    = startValue;
+
+  const inside = events.filter(e => e.t >= start);
+  for (let i = 0; i < inside.length; ) {
+    const t   = inside[i].t;
+    const day = [];
+    while (i < inside.length && inside[i].t === t) day.push(inside[i++]);
+    day.forEach(rescale);
+
+    const dist = day
+      .filter(e => e.type === "dividend")
+      .reduce((sum, e) => sum + parseAmount(e.r.dist), 0);
+    if (vPost > 0) {
+      growth  *= (valueAt(t) + dist) / vPost;
+      measured = true;
+    }
+
+    day.forEach(e => {
+      const amount = flowOf(e);
+      apply(e);
+      if (amount) flows.push({ date: new Date(t), amount });
+      if (e.type === "buy")      tally.Bought   -= amount;
+      if (e.type === "sell" || e.type === "split") tally.Sold += amount;
+      if (e.type === "dividend") {
+        tally.CashDist      += amount;
+        tally.Distributions += parseAmount(e.r.dist);
+      }
+    });
+    vPost = valueAt(t);
+  }
+
+  // 3) Holdings coming out of the window
+  const endValue = valueAt(end);
+  if (vPost > 0) {
+    growth  *= endValue / vPost;
+    measured = true;
+  }
+  if (endValue > 0) flows.push({ date: new Date(end), amount: endValue });
+
+  return {
+    StartValue:    startValue,
+    Bought:        tally.Bought,
+    Sold:          tally.Sold,
+    CashDist:      tally.CashDist,
+    Distributions: tally.Distributions,
+    EndValue:      endValue,
+    Gain:          endValue + tally.Sold + tally.CashDist - tally.Bought - startValue,
+    XIRR:          xirr(flows),
+    TWR:           measured ? growth - 1 : NaN,
+    missing
+  };
+}
+
+/**
+ * rollupYieldBySymbol()
+ *
+ * Per-symbol totals of the TrancheState yield columns over open tranches
+ * (all accounts), with yields recomputed from the summed amounts rather
+ * than averaged. OpenCost and AdjBasis both cover only shares still held,
+ * matching the AnnualDist they divide. Dist4W/Dist52W include tranches
+ * closed since, so they match what the symbol actually paid in the window.
+ *
+ * @param {Object[]} rows  buildTrancheStateRows() output.
+ * @returns {Object[]} { Sym, ShRem, OpenCost, AdjBasis, MktValue, Dist4W,
+ *   Dist52W, AnnualDist, YieldOnCost, YieldOnAdjBasis, CurrentYield }
+ *   sorted by symbol; MktValue/CurrentYield are blank when any open
+ *   tranche of the symbol has no price.
+ */
+function rollupYieldBySymbol(rows) {
+  const bySym = {};
+  rows.forEach(r => {
+    const s = bySym[r.Sym] = bySym[r.Sym] || {
+      Sym: r.Sym, ShRem: 0, OpenCost: 0, AdjBasis: 0, MktValue: 0,
+      Dist4W: 0, Dist52W: 0, AnnualDist: 0, unpriced: false, open: false
+    };
+    s.Dist4W  += r.Dist4W;
+    s.Dist52W += r.Dist52W;
+    if (!(r.ShRem > 1e-9)) return;
+
+    s.open        = true;
+    s.ShRem      += r.ShRem;
+    s.OpenCost   += r.ShBuy > 0 ? r.CostBasis * r.ShRem / r.ShBuy : 0;
+    s.AdjBasis   += r.AdjBasis;
+    s.AnnualDist += r.AnnualDist;
+    if (r.MktValue === "") s.unpriced = true;
+    else                   s.MktValue += r.MktValue;
+  });
+
+  return Object.keys(bySym).sort().map(sym => {
+    const s       = bySym[sym];
+    const yieldOf = base => (s.open && base > 0 ? s.AnnualDist / base : "");
+    return {
+      Sym:             s.Sym,
+      ShRem:           s.ShRem,
+      OpenCost:        s.OpenCost,
+      AdjBasis:        s.AdjBasis,
+      MktValue:        s.unpriced ? "" : s.MktValue,
+      Dist4W:          s.Dist4W,
+      Dist52W:         s.Dist52W,
+      AnnualDist:      s.AnnualDist,
+      YieldOnCost:     yieldOf(s.OpenCost),
+      YieldOnAdjBasis: yieldOf(s.AdjBasis),
+      CurrentYield:    s.unpriced ? "" : yieldOf(s.MktValue)
+    };
+  });
+}
+
+/**
+ * StateHistory columns written by snapshotTrancheState(), in order.
+ */
+const STATE_HISTORY_KEYS = [
+  "Date", "ID", "Sym", "Account", "ShRem", "CurrPx", "AdjBasis",
+  "MktValue", "UnrealizedGainLoss", "PctToExit", "StalePx"
+];
+
+/**
+ * snapshotTrancheState()
+ *
+ * One StateHistory row per open tranche plus a portfolio "TOTAL" row,
+ * all stamped with `day`. The TOTAL row's AdjBasis is the principal still
+ * at risk: the open shares' AdjBasis summed over every open tranche, so
+ * basis that left with sold shares of a Partial tranche is not counted.
+ * MktValue, UnrealizedGainLoss and PctToExit total only the priced
+ * tranches, and its StalePx repeats the worst flag (NoPrice, then STALE)
+ * so a partial total is never silent.
+ *
+ * @param {Object[]} rows  buildTrancheStateRows() output.
+ * @param {string}   day   yyyy-MM-dd of the snapshot.
+ * @returns {Array[]} Rows in STATE_HISTORY_KEYS order.
+ */
+function snapshotTrancheState(rows, day) {
+  const open  = rows.filter(r => r.ShRem > 1e-9);
+  const out   = open.map(r => STATE_HISTORY_KEYS.map(k => (k === "Date" ? day : r[k])));
+
+  const priced = open.filter(r => r.MktValue !== "");
+  const sum    = (list, k) => list.reduce((t, r) => t + (+r[k] || 0), 0);
+  const adj    = sum(open, "AdjBasis");
+  const pxAdj  = sum(priced, "AdjBasis");
+  const mkt    = sum(priced, "MktValue");
+  const flag   = open.some(r => r.StalePx === "NoPrice") ? "NoPrice"
+               : open.some(r => r.StalePx === "STALE")   ? "STALE" : "";
+
+  const total = {
+    Date:               day,
+    ID:                 "TOTAL",
+    Sym:                "",
+    Account:            "",
+    ShRem:              "",
+    CurrPx:             "",
+    AdjBasis:           adj,
+    MktValue:           mkt,
+    UnrealizedGainLoss: mkt - pxAdj,
+    PctToExit:          pxAdj ? Math.max(0, Math.min(1, (pxAdj - mkt) / pxAdj)) : 0,
+    StalePx:            flag
+  };
+  out.push(STATE_HISTORY_KEYS.map(k => total[k]));
+  return out;
+}
+
+/**
+ * Replaces any StateHistory rows for the snapshot's day with the new
+ * snapshot, so running the job twice on one date leaves one copy.
+ *
+ * @param {Array[]} rows      Existing history rows (Date as yyyy-MM-dd).
+ * @param {Array[]} snapshot  snapshotTrancheState() output for `day`.
+ * @param {string}  day       yyyy-MM-dd.
+ * @returns {Array[]} History sorted by date, tranche rows before TOTAL.
+ */
+function mergeStateHistory(rows, snapshot, day) {
+  const dated = rows.filter(r => String(r[0]) !== day).concat(snapshot);
+  return dated
+    .map((r, i) => ({ r, i }))
+    .sort((a, b) => String(a.r[0]).localeCompare(String(b.r[0])) || a.i - b.i)
+    .map(x => x.r);
+}
+
+/**
+ * True when a price last updated at `lastUpdate` is older than
+ * `maxAgeHours` at `now`. A missing or unparseable LastUpdate is stale.
+ */
+function isStalePrice(lastUpdate, now, maxAgeHours) {
+  const at = lastUpdate instanceof Date ? lastUpdate : new Date(lastUpdate);
+  if (!lastUpdate || isNaN(at)) return true;
+  return (now - at) / 3600000 > maxAgeHours;
+}
+
+/**
+ * Sums dividend rows per (period, account, symbol), where keyOf(d) gives
+ * the period key stored under `field`. Shared by aggregateIncomeWeeks()
+ * and aggregateIncomePeriods() so every grouping books Inc/Roc/Sheltered
+ * the same way.
+ * @returns {Object} { "period|account|sym" → { [field], Sym, Account, Dist,
+ *   Inc, Roc, ShElig, Cash, Reinv, Sheltered } }
+ */
+function sumIncome_(divs, keyOf, field) {
+  const agg = {};
+  divs.forEach(d => {
+    const sym  = String(d.sym).trim();
+    const acct = String(d.account == null ? "" : d.account).trim();
+    const sh   = d.taxable === false;
+    const dist = parseAmount(d.dist);
+    const roc  = sh ? 0 : parseAmount(d.rocAmt);
+    const tax  = sh ? 0 : parseAmount(d.inc) || (dist - roc);
+    const shEl = parseFloat(d.totShr) || 0;
+    const rein = parseAmount(d.reinv);
+
+    const period = keyOf(d);
+    const key    = `${period}|${acct}|${sym}`;
+    if (!agg[key]) {
+      agg[key] = {
+        [field]: period, Sym: sym, Account: acct, Dist: 0, Inc: 0, Roc: 0, ShElig: 0,
+        Cash: 0, Reinv: 0, Sheltered: 0
+      };
+    }
+    agg[key].Dist   += dist;
+    agg[key].Inc    += tax;
+    agg[key].Roc    += roc;
+    agg[key].Sheltered += sh ? dist : 0;
+    agg[key].ShElig += shEl;
+    agg[key].Cash   += dist - rein;
+    agg[key].Reinv  += rein;
+  });
+  return agg;
+}
+
+/**
+ * aggregateIncomeWeeks()
+ *
+ * Sums dividend rows per (week, account, symbol) and adds weekly
+ * all-symbol totals and calendar-year YTD running totals.
+ *
+ * @param {Object[]} divs  Dividend rows:
+ *   { wk, sym, account, taxable, dist, rocAmt, inc, totShr, reinv }
+ *   wk is the week key (yyyy-MM-dd); inc falls back to dist − rocAmt when blank;
+ *   reinv is the amount reinvested (DRIP), the rest of dist was paid in cash.
+ *   taxable === false (an IRA/Roth account) books the whole distribution
+ *   as Sheltered instead of Inc/Roc.
+ * @returns {Object[]} Rows sorted by week:
+ *   { Wk, Sym, Account, Dist, DistWkTot, DistYTD, DistYtdAll, Inc, IncWkTot,
+ *     IncYTD, IncYtdAll, Roc, RocWkTot, RocYTD, RocYtdAll, ShElig,
+ *     Cash, Reinv, CashYTD, ReinvYTD, Sheltered }
+ */
+function aggregateIncomeWeeks(divs) {
+  // 1) Aggregate per (Week, Symbol)
+  const agg = sumIncome_(divs, d => d.wk, "Wk");
+
+  // 2) Weekly totals across all symbols
+  const distWkAll = {};
+  const incWkAll  = {};
+  const rocWkAll  = {};
+  Object.values(agg).forEach(e => {
+    distWkAll[e.Wk] = (distWkAll[e.Wk] || 0) + e.Dist;
+    incWkAll[e.Wk]  = (incWkAll[e.Wk]  || 0) + e.Inc;
+    rocWkAll[e.Wk]  = (rocWkAll[e.Wk]  || 0) + e.Roc;
+  });
+
+  // 3) Year-to-date accumulators
+  const ytdAll = {};
+  const ytdSym = {};
+  const bump   = (map, key, e) => {
+    const m = map[key] || (map[key] = { Dist: 0, Inc: 0, Roc: 0, Cash: 0, Reinv: 0 });
+    m.Dist  += e.Dist;
+    m.Inc   += e.Inc;
+    m.Roc   += e.Roc;
+    m.Cash  += e.Cash;
+    m.Reinv += e.Reinv;
+    return m;
+  };
+
+  return Object.values(agg)
+    .sort((a, b) => new Date(a.Wk) - new Date(b.Wk))
+    .map(e => {
+      const yr  = new Date(e.Wk).getFullYear();
+      const all = bump(ytdAll, yr, e);
+      const sym = bump(ytdSym, `${yr}|${e.Account}|${e.Sym}`, e);
+      return {
+        Wk:         e.Wk,
+        Sym:        e.Sym,
+        Account:    e.Account,
+        Dist:       e.Dist,
+        DistWkTot:  distWkAll[e.Wk],
+        DistYTD:    sym.Dist,
+        DistYtdAll: all.Dist,
+        Inc:        e.Inc,
+        IncWkTot:   incWkAll[e.Wk],
+        IncYTD:     sym.Inc,
+        IncYtdAll:  all.Inc,
+        Roc:        e.Roc,
+        RocWkTot:   rocWkAll[e.Wk],
+        RocYTD:     sym.Roc,
+        RocYtdAll:  all.Roc,
+        ShElig:     e.ShElig,
+        Cash:       e.Cash,
+        Reinv:      e.Reinv,
+        CashYTD:    sym.Cash,
+        ReinvYTD:   sym.Reinv,
+        Sheltered:  e.Sheltered
+      };
+    });
+}
+
+/**
+ * Calendar period key of a date: "2026-03" (month), "2026-Q1" (quarter)
+ * or "2026" (year).
+ */
+function incomePeriodKey_(date, period) {
+  const d  = new Date(date);
+  const yr = d.getFullYear();
+  if (period === "month")   return `${yr}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+  if (period === "quarter") return `${yr}-Q${Math.floor(d.getMonth() / 3) + 1}`;
+  if (period === "year")    return String(yr);
+  throw new Error(`Unknown income period "${period}"; expected month, quarter or year`);
+}
+
+/**
+ * Key of the calendar period before `key` (see incomePeriodKey_).
+ */
+function prevIncomePeriodKey_(key, period) {
+  const yr = parseInt(key, 10);
+  if (period === "year") return String(yr - 1);
+  const n = parseInt(key.slice(period === "quarter" ? 6 : 5), 10);
+  if (period === "quarter") return n > 1 ? `${yr}-Q${n - 1}` : `${yr - 1}-Q4`;
+  return n > 1 ? `${yr}-${String(n - 1).padStart(2, "0")}` : `${yr - 1}-12`;
+}
+
+/**
+ * Key of the calendar period after `key` (see incomePeriodKey_).
+ */
+function nextIncomePeriodKey_(key, period) {
+  const yr = parseInt(key, 10);
+  if (period === "year") return String(yr + 1);
+  const n = parseInt(key.slice(period === "quarter" ? 6 : 5), 10);
+  if (period === "quarter") return n < 4 ? `${yr}-Q${n + 1}` : `${yr + 1}-Q1`;
+  return n < 12 ? `${yr}-${String(n + 1).padStart(2, "0")}` : `${yr + 1}-01`;
+}
+
+/**
+ * aggregateIncomePeriods()
+ *
+ * The aggregateIncomeWeeks() measures by calendar month, quarter or year,
+ * with the change from the previous calendar period. Rows are assigned by
+ * distribution date, so a week that straddles a month end splits between
+ * the two months.
+ *
+ * @param {Object[]} divs    aggregateIncomeWeeks() rows plus `date`, the
+ *                           distribution date.
+ * @param {string}   period  "month" | "quarter" | "year".
+ * @returns {Object[]} Rows sorted by period, account, symbol:
+ *   { Period, Sym, Account, Dist, DistChg, DistChgPct, Inc, IncChg, Roc,
+ *     RocChg, Cash, Reinv, Sheltered, DistAll, DistAllChg, DistAllChgPct,
+ *     IncAll, RocAll }
+ *   *Chg is this period minus the previous one (a missing previous period
+ *   counts as 0); *ChgPct is blank when the previous period was 0.
+ *   A symbol that paid in one period and not the next gets a zero row for
+ *   the next (up to the latest period with any income), so the drop shows.
+ */
+function aggregateIncomePeriods(divs, period) {
+  const dated = divs.filter(d => !isNaN(new Date(d.date)));
+  const agg   = sumIncome_(dated, d => incomePeriodKey_(d.date, period), "Period");
+
+  // Zero rows for symbols that stopped paying, through the latest period
+  const last = Object.values(agg).reduce((max, e) => (e.Period > max ? e.Period : max), "");
+  Object.values(agg).forEach(e => {
+    const next = nextIncomePeriodKey_(e.Period, period);
+    const key  = `${next}|${e.Account}|${e.Sym}`;
+    if (next > last || agg[key]) return;
+    agg[key] = {
+      Period: next, Sym: e.Sym, Account: e.Account, Dist: 0, Inc: 0, Roc: 0, ShElig: 0,
+      Cash: 0, Reinv: 0, Sheltered: 0
+    };
+  });
+
+  // Totals across all symbols and accounts, per period
+  const all = {};
+  Object.values(agg).forEach(e => {
+    const t = all[e.Period] || (all[e.Period] = { Dist: 0, Inc: 0, Roc: 0 });
+    t.Dist += e.Dist;
+    t.Inc  += e.Inc;
+    t.Roc  += e.Roc;
+  });
+
+  const chgPct = (cur, prev) => (prev ? (cur - prev) / prev : "");
+  return Object.values(agg)
+    .sort((a, b) =>
+      a.Period.localeCompare(b.Period) || a.Account.localeCompare(b.Account) || a.Sym.localeCompare(b.Sym))
+    .map(e => {
+      const prevKey = prevIncomePeriodKey_(e.Period, period);
+      const prev    = agg[`${prevKey}|${e.Account}|${e.Sym}`] || { Dist: 0, Inc: 0, Roc: 0 };
+      const tot     = all[e.Period];
+      const totPrev = all[prevKey] || { Dist: 0 };
+      return {
+        Period:        e.Period,
+        Sym:           e.Sym,
+        Account:       e.Account,
+        Dist:          e.Dist,
+        DistChg:       e.Dist - prev.Dist,
+        DistChgPct:    chgPct(e.Dist, prev.Dist),
+        Inc:           e.Inc,
+        IncChg:        e.Inc - prev.Inc,
+        Roc:           e.Roc,
+        RocChg:        e.Roc - prev.Roc,
+        Cash:          e.Cash,
+        Reinv:         e.Reinv,
+        Sheltered:     e.Sheltered,
+        DistAll:       tot.Dist,
+        DistAllChg:    tot.Dist - totPrev.Dist,
+        DistAllChgPct: chgPct(tot.Dist, totPrev.Dist),
+        IncAll:        tot.Inc,
+        RocAll:        tot.Roc
+      };
+    });
+}
+
+/**
+ * IRS estimated-tax periods: months covered (0-based, inclusive) and the
+ * payment due date; period 4 is due in January of the next year.
+ */
+const EST_TAX_PERIODS = [
+  { period: 1, fromMonth: 0, toMonth: 2,  dueMonth: 3, dueNextYear: false },
+  { period: 2, fromMonth: 3, toMonth: 4,  dueMonth: 5, dueNextYear: false },
+  { period: 3, fromMonth: 5, toMonth: 7,  dueMonth: 8, dueNextYear: false },
+  { period: 4, fromMonth: 8, toMonth: 11, dueMonth: 0, dueNextYear: true }
+];
+
+/**
+ * Parses a tax rate: 0.22, "22%", "0.22" and 22 all give 0.22. A bare
+ * number of 1 or more is a percent, so 1 gives 0.01. Returns NaN when
+ * blank or unparseable.
+ */
+function parseRate(value) {
+  if (value === "" || value == null) return NaN;
+  const text = String(value).trim();
+  const num  = parseFloat(text.replace(/[%\s]/g, ""));
+  if (isNaN(num)) return NaN;
+  return text.endsWith("%") || num >= 1 ? num / 100 : num;
+}
+
+/**
+ * Estimated-tax period a date's income falls in: { taxYr, period, from,
+ * to, due } (period 1–4, see EST_TAX_PERIODS).
+ */
+function estTaxPeriodOf(date) {
+  const d  = new Date(date);
+  const yr = d.getFullYear();
+  const p  = EST_TAX_PERIODS.find(e => d.getMonth() >= e.fromMonth && d.getMonth() <= e.toMonth);
+  return estTaxPeriod_(yr, p.period);
+}
+
+/**
+ * { taxYr, period, from, to, due } for period 1–4 of `taxYr`.
+ */
+function estTaxPeriod_(taxYr, period) {
+  const p = EST_TAX_PERIODS[period - 1];
+  return {
+    taxYr,
+    period,
+    from: new Date(taxYr, p.fromMonth, 1),
+    to:   new Date(taxYr, p.toMonth + 1, 0),
+    due:  new Date(taxYr + (p.dueNextYear ? 1 : 0), p.dueMonth, 15)
+  };
+}
+
+/**
+ * Qualified share of ordinary dividends per symbol and year from broker
+ * 1099-DIV rows (Box 1b ÷ Box 1a), for years whose forms have arrived.
+ * @param {Object[]} brokerRows  { sym, taxYear, box1a, box1b }
+ * @returns {Object} { "SYM|year" → share 0–1 }
+ */
+function qualifiedShareFromBroker(brokerRows) {
+  return brokerRows.reduce((m, b) => {
+    const box1a = parseAmount(b.box1a);
+    if (box1a > 0 && b.box1b !== "" && b.box1b != null) {
+      m[`${String(b.sym).trim().toUpperCase()}|${parseInt(b.taxYear, 10)}`] =
+        Math.max(0, Math.min(1, parseAmount(b.box1b) / box1a));
+    }
+    return m;
+  }, {});
+}
+
+/**
+ * estimatedTaxWorksheet()
+ *
+ * Maps taxable distribution income onto the IRS estimated-tax periods
+ * and compares the estimated liability with payments made.
+ *
+ * Income is Inc (Dist − ROCAmt when blank) of dividend rows in taxable
+ * accounts, split into qualified and ordinary by the row's QualPct, else
+ * the symbol-year share from the broker's 1099-DIV, else all ordinary.
+ * Payments count toward the period given on them, else toward the first
+ * period whose due date is on or after the payment date.
+ *
+ * @param {Object[]} divs      { date, sym, taxable, dist, rocAmt, inc, qualPct }
+ * @param {Object[]} payments  { date, amount, taxYr, period }
+ * @param {Object}   opts
+ *   fedOrdinary / fedQualified / state  marginal rates (0–1)
+ *   qualShare  { "SYM|year" → qualified share } (see qualifiedShareFromBroker)
+ *   today      Date that picks the next payment due (default now)
+ * @returns {Object[]} Four rows per tax year, oldest first:
+ *   { TaxYr, Period, From, To, DueDt, OrdInc, QualInc, TaxableInc, FedTax,
+ *     StateTax, EstTax, CumEstTax, Paid, CumPaid, Balance, NextPayment }
+ *   Cum* and Balance (CumEstTax − CumPaid) restart each tax year.
+ *   NextPayment is max(0, Balance) on the next period due on or after
+ *   today, blank elsewhere.
+ */
+function estimatedTaxWorksheet(divs, payments, opts) {
+  const rate   = k => (opts && opts[k] > 0 ? opts[k] : 0);
+  const qShare = (opts && opts.qualShare) || {};
+  const today  = (opts && opts.today) || new Date();
+  const cells  = {};  // { "year|period" → totals }
+  const cell   = (yr, p) =>
+    cells[`${yr}|${p}`] || (cells[`${yr}|${p}`] = { ord: 0, qual: 0, paid: 0 });
+
+  // 1) Taxable income per period
+  divs.forEach(d => {
+    if (d.taxable === false || isNaN(new Date(d.date))) return;
+    const dist = parseAmount(d.dist);
+    const inc  = parseAmount(d.inc) || (dist - parseAmount(d.rocAmt));
+    if (!inc) return;
+
+    const per  = estTaxPeriodOf(d.date);
+    const pct  = parseFloat(d.qualPct);
+    const key  = `${String(d.sym).trim().toUpperCase()}|${per.taxYr}`;
+    const qual = inc * (!isNaN(pct) ? Math.max(0, Math.min(1, pct)) : qShare[key] || 0);
+    cell(per.taxYr, per.period).ord  += inc - qual;
+    cell(per.taxYr, per.period).qual += qual;
+  });
+
+  // 2) Payments per period
+  payments.forEach(pm => {
+    const amount = parseAmount(pm.amount);
+    if (!amount) return;
+    let yr = parseInt(pm.taxYr, 10);
+    let p  = parseInt(pm.period, 10);
+    if (!(yr > 0 && p >= 1 && p <= 4)) {
+      const dt = new Date(pm.date);
+      if (isNaN(dt)) return;
+      const due = [dt.getFullYear() - 1, dt.getFullYear()]
+        .reduce((all, y) => all.concat([1, 2, 3, 4].map(n => estTaxPeriod_(y, n))), [])
+        .find(e => e.due >= new Date(dt.getFullYear(), dt.getMonth(), dt.getDate()));
+      yr = due ? due.taxYr : dt.getFullYear() + 1;
+      p  = due ? due.period : 1;
+    }
+    cell(yr, p).paid += amount;
+  });
+
+  // 3) One row per period, cumulative within the year
+  const years = Object.keys(cells).map(k => parseInt(k, 10));
+  if (!years.length) return [];
+  const first = Math.min.apply(null, years);
+  const last  = Math.max(Math.max.apply(null, years), today.getFullYear());
+  const day   = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const out   = [];
+  let nextDue = null;
+
+  for (let yr = first; yr <= last; yr++) {
+    let cumEst  = 0;
+    let cumPaid = 0;
+    [1, 2, 3, 4].forEach(n => {
+      const per   = estTaxPeriod_(yr, n);
+      const c     = cells[`${yr}|${n}`] || { ord: 0, qual: 0, paid: 0 };
+      const fed   = c.ord * rate("fedOrdinary") + c.qual * rate("fedQualified");
+      const state = (c.ord + c.qual) * rate("state");
+      cumEst  += fed + state;
+      cumPaid += c.paid;
+
+      const row = {
+        TaxYr:       yr,
+        Period:      n,
+        From:        per.from,
+        To:          per.to,
+        DueDt:       per.due,
+        OrdInc:      c.ord,
+        QualInc:     c.qual,
+        TaxableInc:  c.ord + c.qual,
+        FedTax:      fed,
+        StateTax:    state,
+        EstTax:      fed + state,
+        CumEstTax:   cumEst,
+        Paid:        c.paid,
+        CumPaid:     cumPaid,
+        Balance:     cumEst - cumPaid,
+        NextPayment: ""
+      };
+      if (!nextDue && per.due >= day) nextDue = row;
+      out.push(row);
+    });
+  }
+  if (nextDue) nextDue.NextPayment = Math.max(0, nextDue.Balance);
+  return out;
+}
+
+/**
+ * reconcile1099()
+ *
+ * Compares broker Form 1099-DIV figures with per-year totals from the
+ * dividend ledger. Ledger Inc is matched against Box 1a (ordinary
+ * dividends), ROC against Box 3 (nondividend distributions) and Dist
+ * against 1a + 3. Box 1b (qualified) is carried for reference only.
+ *
+ * @param {Object[]} brokerRows  { sym, taxYear, box1a, box1b, box3 }
+ * @param {Object[]} divs        Dividend rows: { date, sym, dist, inc, rocAmt }
+ * @param {Object}   [opts]      tolerancePct: |diff| / broker value above
+ *                               which a measure is flagged (default 0.01)
+ * @returns {Object[]} Rows sorted by year then symbol:
+ *   { TaxYr, Sym, Box1a, LedgerInc, IncDiff, IncDiffPct, Box1b, Box3,
+ *     LedgerROC, RocDiff, RocDiffPct, BrokerDist, LedgerDist, DistDiff,
+ *     DistDiffPct, Flag }   (diffs are ledger − broker)
+ */
+function reconcile1099(brokerRows, divs, opts) {
+  const tol  = opts && opts.tolerancePct != null ? +opts.tolerancePct : 0.01;
+  const rows = {};
+  const row  = (yr, sym) => {
+    const key = `${yr}|${sym}`;
+    return rows[key] || (rows[key] = {
+      TaxYr: yr, Sym: sym, hasBroker: false,
+      box1a: 0, box1b: 0, box3: 0, dist: 0, inc: 0, roc: 0
+    });
+  };
+
+  brokerRows.forEach(b => {
+    const sym = String(b.sym || "").trim().toUpperCase();
+    const yr  = parseInt(b.taxYear, 10);
+    if (!sym || !yr) return;
+    const r = row(yr, sym);
+    r.hasBroker = true;
+    r.box1a += parseAmount(b.box1a);
+    r.box1b += parseAmount(b.box1b);
+    r.box3  += parseAmount(b.box3);
+  });
+
+  divs.forEach(d => {
+    const sym = String(d.sym || "").trim().toUpperCase();
+    const dt  = new Date(d.date);
+    if (!sym || isNaN(dt)) return;
+    const r    = row(dt.getFullYear(), sym);
+    const dist = parseAmount(d.dist);
+    const roc  = parseAmount(d.rocAmt);
+    r.dist += dist;
+    r.roc  += roc;
+    r.inc  += parseAmount(d.inc) || (dist - roc);
+  });
+
+  // Percent is relative to the broker figure; with no broker amount any
+  // ledger amount of a cent or more is out of tolerance.
+  const compare = (ledger, broker) => {
+    const diff = ledger - broker;
+    const pct  = broker ? diff / broker : "";
+    const off  = broker ? Math.abs(pct) > tol : Math.abs(diff) >= 0.005;
+    return { diff, pct, off };
+  };
+
+  return Object.values(rows)
+    .sort((a, b) => a.TaxYr - b.TaxYr || a.Sym.localeCompare(b.Sym))
+    .map(r => {
+      const inc  = compare(r.inc,  r.box1a);
+      const roc  = compare(r.roc,  r.box3);
+      const dist = compare(r.dist, r.box1a + r.box3);
+      const off  = [
+        inc.off  ? "Inc"  : "",
+        roc.off  ? "ROC"  : "",
+        dist.off ? "Dist" : ""
+      ].filter(Boolean);
+
+      return {
+        TaxYr:       r.TaxYr,
+        Sym:         r.Sym,
+        Box1a:       r.box1a,
+        LedgerInc:   r.inc,
+        IncDiff:     inc.diff,
+        IncDiffPct:  inc.pct,
+        Box1b:       r.box1b,
+        Box3:        r.box3,
+        LedgerROC:   r.roc,
+        RocDiff:     roc.diff,
+        RocDiffPct:  roc.pct,
+        BrokerDist:  r.box1a + r.box3,
+        LedgerDist:  r.dist,
+        DistDiff:    dist.diff,
+        DistDiffPct: dist.pct,
+        Flag:        !r.hasBroker ? "⚠️ No 1099 row"
+                   : off.length   ? `⚠️ ${off.join(", ")} off > ${(tol * 100).toFixed(2)}%`
+                   : ""
+      };
+    });
+}
+
+/**
+ * finalRocPctFromBroker()
+ *
+ * Derives the broker's final ROC share of each symbol's distributions for
+ * a tax year: Box3 ÷ (Box1a + Box3). Rows with no distributions are skipped.
+ *
+ * @param {Object[]} brokerRows  { sym, taxYear, box1a, box3 }
+ * @returns {Object[]} { sym, taxYear, rocPct }
+ */
+function finalRocPctFromBroker(brokerRows) {
+  const totals = {};
+  brokerRows.forEach(b => {
+    const sym = String(b.sym || "").trim().toUpperCase();
+    const yr  = parseInt(b.taxYear, 10);
+    if (!sym || !yr) return;
+    const t = totals[`${yr}|${sym}`] || (totals[`${yr}|${sym}`] = { sym, taxYear: yr, box1a: 0, box3: 0 });
+    t.box1a += parseAmount(b.box1a);
+    t.box3  += parseAmount(b.box3);
+  });
+  return Object.values(totals)
+    .filter(t => t.box1a + t.box3 > 0)
+    .map(t => ({ sym: t.sym, taxYear: t.taxYear, rocPct: t.box3 / (t.box1a + t.box3) }));
+}
+
+/**
+ * planRocReclass()
+ *
+ * Works out which dividend rows change when the final per-symbol, per-year
+ * ROC percentage replaces the 19a-1 estimate. The first reclassification
+ * keeps the row's estimate in rocPctEst; later ones leave that original
+ * estimate alone so a rollback always returns to it. A blank estimate is
+ * kept as 0 (which is how a blank RocPct is read), so the row still
+ * counts as reclassified and is rolled back.
+ *
+ * @param {Object[]} rows    Ledger rows: { type, date, sym, rocPct, rocPctEst }
+ * @param {Object[]} finals  { sym, taxYear, rocPct }
+ * @returns {Object[]} { index, rocPct, rocPctEst } for each row that changes
+ */
+function planRocReclass(rows, finals) {
+  const finalMap = finals.reduce((m, f) => {
+    const pct = parseFloat(f.rocPct);
+    if (!isNaN(pct)) m[`${parseInt(f.taxYear, 10)}|${String(f.sym).trim().toUpperCase()}`] = pct;
+    return m;
+  }, {});
+
+  const changes = [];
+  rows.forEach((r, index) => {
+    if (String(r.type || "").toLowerCase() !== "dividend") return;
+    const dt  = new Date(r.date);
+    const key = `${dt.getFullYear()}|${String(r.sym || "").trim().toUpperCase()}`;
+    if (isNaN(dt) || !(key in finalMap)) return;
+
+    const target  = finalMap[key];
+    const current = parseFloat(r.rocPct) || 0;
+    const hasEst  = r.rocPctEst !== "" && r.rocPctEst != null;
+    const blank   = r.rocPct === "" || r.rocPct == null;
+    if (Math.abs(current - target) < 1e-9) return;
+
+    changes.push({
+      index,
+      rocPct:    target,
+      rocPctEst: hasEst ? r.rocPctEst : blank ? 0 : r.rocPct
+    });
+  });
+  return changes;
+}
+
+/** Transaction types the builders understand. */
+const TX_TYPES = ["buy", "sell", "dividend", "split"];
+
+/**
+ * findLedgerIssues()
+ *
+ * Checks ledger rows (as read through the Transactions schema) for the
+ * problems that would otherwise vanish silently from the totals.
+ * "Error" issues are blocking; "Warning" issues are reported only.
+ *
+ * @param {Object[]} rows  { row, date, type, sym, shr, price, dist, rocPct,
+ *                           tidOverride, exDate, ratio, reinvShr, reinvPx,
+ *                           account, inc, rocAmt, qualPct }
+ *   Unparseable numbers arrive as NaN and unparseable dates as Invalid Date.
+ * @param {Object} [opts]  Passed to computeLedgerMetrics (lotMethod, formatTrDate);
+ *   treatments ({ account → tax treatment }) flags accounts it does not list.
+ * @returns {Object[]} { Row, Column, Severity, Problem, Value } in sheet order
+ */
+function findLedgerIssues(rows, opts) {
+  const issues = [];
+  const add    = (r, column, severity, problem, value) =>
+    issues.push({ Row: r.row, Column: column, Severity: severity, Problem: problem, Value: value == null ? "" : value });
+  const isBlank = v => v === "" || v == null;
+
+  const live = rows.filter(r => !(isBlank(r.date) && isBlank(r.type) && isBlank(r.sym)));
+
+  // 1) Per-row field checks
+  const good = [];
+  let lastDate = null;
+  live.forEach(r => {
+    let ok = true;
+
+    if (!(r.date instanceof Date) || isNaN(r.date)) {
+      add(r, "Date", "Error", "Missing or unparseable date; updateHistoricalTrancheMetrics stops reading here", r.date);
+      ok = false;
+    } else {
+      if (lastDate && r.date < lastDate) {
+        add(r, "Date", "Warning", "Out of chronological order (earlier than the row above)", r.date);
+      }
+      lastDate = r.date;
+    }
+
+    if (!TX_TYPES.includes(r.type)) {
+      add(r, "Type", "Error", `Unknown type; expected one of ${TX_TYPES.join(", ")}`, r.type);
+      ok = false;
+    }
+    if (isBlank(r.sym)) {
+      add(r, "Sym", "Error", "Missing symbol", r.sym);
+      ok = false;
+    }
+    if (opts && opts.treatments && !isBlank(r.account) && !(String(r.account).trim() in opts.treatments)) {
+      add(r, "Account", "Warning", "Account is not on the Accounts sheet; treated as taxable", r.account);
+    }
+
+    [["shr", "Shr"], ["price", "Price"], ["dist", "Dist"], ["rocPct", "RocPct"],
+     ["reinvShr", "ReinvShr"], ["reinvPx", "ReinvPx"], ["qualPct", "QualPct"]].forEach(([f, col]) => {
+      if (typeof r[f] === "number" && isNaN(r[f])) {
+        add(r, col, "Error", "Not a number", r[f]);
+        ok = false;
+      }
+    });
+
+    if ((r.type === "buy" || r.type === "sell") && !(parseFloat(r.shr) > 0)) {
+      add(r, "Shr", "Error", `A ${r.type} needs a positive share count`, r.shr);
+      ok = false;
+    }
+    if (r.type === "split") {
+      if (!(parseSplitRatio(r.ratio) > 0)) {
+        add(r, "Ratio", "Error", 'A split needs a Ratio (new shares per old share, e.g. 2, 0.1 or "1-for-10")', r.ratio);
+        ok = false;
+      }
+      if (parseFloat(r.shr) < 0) {
+        add(r, "Shr", "Error", "Cash-in-lieu shares cannot be negative", r.shr);
+        ok = false;
+      }
+    }
+    if (r.type === "dividend") {
+      const pct = parseFloat(r.rocPct);
+      if (!isNaN(pct) && (pct < 0 || pct > 1)) {
+        add(r, "RocPct", "Error", "RocPct must be between 0 and 1", r.rocPct);
+        ok = false;
+      }
+      const qual = parseFloat(r.qualPct);
+      if (!isNaN(qual) && (qual < 0 || qual > 1)) {
+        add(r, "QualPct", "Error", "QualPct must be between 0 and 1", r.qualPct);
+        ok = false;
+      }
+      const reinvShr = parseFloat(r.reinvShr) || 0;
+      if (reinvShr < 0) {
+        add(r, "ReinvShr", "Error", "Reinvested shares cannot be negative", r.reinvShr);
+        ok = false;
+      } else if (reinvShr > 0 && !(parseFloat(r.reinvPx) > 0)) {
+        add(r, "ReinvPx", "Error", "ReinvShr needs a positive ReinvPx", r.reinvPx);
+        ok = false;
+      } else if (reinvShr * parseAmount(r.reinvPx) - parseAmount(r.dist) > 0.01) {
+        add(r, "ReinvShr", "Warning", "Reinvested amount (ReinvShr × ReinvPx) exceeds Dist", r.reinvShr);
+      }
+      if (!isBlank(r.inc) && !isBlank(r.rocAmt) && !isBlank(r.dist)) {
+        const diff = parseAmount(r.dist) - (parseAmount(r.inc) + parseAmount(r.rocAmt));
+        if (Math.abs(diff) > 0.01) {
+          add(r, "Dist", "Warning", `Dist ≠ Inc + ROCAmt (off by ${diff.toFixed(2)}); rerun updateHistoricalTrancheMetrics`, r.dist);
+        }
+      }
+    }
+    if (ok) good.push(r);
+  });
+
+  // 2) Duplicate rows (same date, account, type, symbol, shares, price, amount)
+  const seen = {};
+  good.forEach(r => {
+    const key = [r.date.getTime(), r.account || "", r.type, r.sym, r.shr, r.price, r.dist].join("|");
+    if (seen[key]) {
+      add(r, "", "Warning", `Duplicate of row ${seen[key]}`, "");
+    } else {
+      seen[key] = r.row;
+    }
+  });
+
+  // 3) Position checks on the well-formed rows, using the same engine as
+  //    updateHistoricalTrancheMetrics
+  let metrics;
+  try {
+    metrics = computeLedgerMetrics(good, opts);
+  } catch (err) {
+    issues.push({ Row: "", Column: "", Severity: "Error", Problem: err.message, Value: "" });
+    metrics = null;
+  }
+  if (metrics) {
+    const bought = {};
+    good.forEach((r, i) => {
+      if (r.type === "buy" || (r.type === "dividend" && r.reinvShr > 0)) bought[metrics[i].TrID] = true;
+    });
+    good.forEach((r, i) => {
+      const m = metrics[i];
+      if (r.type === "sell" || (r.type === "split" && r.shr > 0)) {
+        const parts   = parseLotAlloc(m.LotAlloc) || [];
+        const orphan  = parts.filter(p => !bought[p.trID]);
+        if (orphan.length || m.RemShr < 0) {
+          const short = orphan.reduce((sum, p) => sum + p.shr, 0) || -m.RemShr;
+          add(r, "Shr", "Error",
+            `Sell exceeds open shares in ${r.tidOverride || "the symbol's open tranches"} by ${roundShares_(short)}`,
+            r.shr);
+        }
+      }
+      if ((r.type === "dividend" || r.type === "split") && !(m.TotShr > 0)) {
+        add(r, "Sym", "Warning", `${r.type === "split" ? "Split" : "Dividend"} on a symbol with no open position`, r.sym);
+      }
+    });
+  }
+
+  return issues.sort((a, b) => (a.Row || 0) - (b.Row || 0));
+}
+
+// Node (unit tests) — Apps Script has no `module`, so this is a no-op there.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseAmount,
+    getWeekStart,
+    computeLedgerMetrics,
+    computeTrancheState,
+    buildTrancheStateRows,
+    aggregateIncomeWeeks,
+    aggregateIncomePeriods,
+    parseLotAlloc,
+    holdingTerm,
+    reconcile1099,
+    eligibilityOrder,
+    finalRocPctFromBroker,
+    parseRate,
+    estTaxPeriodOf,
+    qualifiedShareFromBroker,
+    estimatedTaxWorksheet,
+    EST_TAX_PERIODS,
+    planRocReclass,
+    findLedgerIssues,
+    parseSplitRatio,
+    detectWashSales,
+    isStalePrice,
+    rollupYieldBySymbol,
+    xirr,
+    makePriceLookup,
+    computeWindowReturns,
+    snapshotTrancheState,
+    mergeStateHistory,
+    STATE_HISTORY_KEYS,
+    accountTag,
+    isTaxableAccount,
+    TAX_TREATMENTS,
+    LOT_METHODS,
+    TX_TYPES
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * txSchema.gs
+ *
+ * Single definition of the Transactions ledger: canonical field names,
+ * the header aliases each field is known by, and how its cells are
+ * coerced. Every builder reads Transactions through readTransactions(),
+ * so a sheet that satisfies one builder satisfies them all.
+ *
+ * Canonical fields are camelCase (date, sym, trID, …); `header` is the
+ * name updateHistoricalTrancheMetrics writes and the one error messages use.
+ */
+const TX_FIELDS = {
+  // Entered by hand (left of TIDOverride)
+  account:     { header: "Account",     type: "string", aliases: ["Account", "Acct"] },
+  date:        { header: "Date",        type: "date",   aliases: ["Date", "TradeDate", "DistDt"] },
+  type:        { header: "Type",        type: "type",   aliases: ["Type", "TxType"] },
+  sym:         { header: "Sym",         type: "sym",    aliases: ["Sym", "Symbol", "Ticker"] },
+  rocPct:      { header: "RocPct",      type: "number", aliases: ["RocPct", "ROCPct", "RocPercent"] },
+  rocPctEst:   { header: "RocPctEst",   type: "number", aliases: ["RocPctEst"] },
+  qualPct:     { header: "QualPct",     type: "number", aliases: ["QualPct", "QualifiedPct", "QualDivPct"] },
+  shr:         { header: "Shr",         type: "number", aliases: ["Shr", "Shares", "Qty"] },
+  price:       { header: "Price",       type: "number", aliases: ["Price", "Px"] },
+  dist:        { header: "Dist",        type: "number", aliases: ["Dist", "Distribution", "DivTotal"] },
+  exDate:      { header: "ExDate",      type: "date",   aliases: ["ExDate", "Ex-Date", "ExDivDate"] },
+  reinvShr:    { header: "ReinvShr",    type: "number", aliases: ["ReinvShr", "ReinvShares", "DripShr"] },
+  reinvPx:     { header: "ReinvPx",     type: "number", aliases: ["ReinvPx", "ReinvPrice", "DripPx"] },
+  ratio:       { header: "Ratio",       type: "string", aliases: ["Ratio", "SplitRatio"] },
+  tidOverride: { header: "TIDOverride", type: "string", aliases: ["TIDOverride", "TrIDOverride"] },
+
+  // Derived block written by updateHistoricalTrancheMetrics
+  wkStart:     { header: "WkStart",     type: "date",   aliases: ["WkStart", "WeekStart", "WeekStarting"] },
+  trID:        { header: "TrID",        type: "string", aliases: ["TrID", "TrancheID"] },
+  costBasis:   { header: "CostBasis",   type: "number", aliases: ["CostBasis"] },
+  distPS:      { header: "DistPS",      type: "number", aliases: ["DistPS"] },
+  incPS:       { header: "IncPS",       type: "number", aliases: ["IncPS", "IncomePerShare"] },
+  rocPS:       { header: "RocPS",       type: "number", aliases: ["RocPS"] },
+  inc:         { header: "Inc",         type: "number", aliases: ["Inc", "TaxInc"] },
+  rocAmt:      { header: "ROCAmt",      type: "number", aliases: ["ROCAmt", "RocAmount"] },
+  totShr:      { header: "TotShr",      type: "number", aliases: ["TotShr", "TotalShares"] },
+  remShr:      { header: "RemShr",      type: "number", aliases: ["RemShr", "ShRem"] },
+  tStat:       { header: "TStat",       type: "string", aliases: ["TStat", "TrStatus", "TrStat", "TrancheStatus"] },
+  lotAlloc:    { header: "LotAlloc",    type: "string", aliases: ["LotAlloc"] }
+};
+
+/**
+ * Maps every known field to its zero-based column in `headers` (-1 when
+ * absent). Throws one error naming every missing required field and every
+ * field matched by more than one column.
+ * @param {string[]} headers   Transactions header row.
+ * @param {string[]} required  Canonical field names the caller needs.
+ * @returns {Object}           { field → column index }
+ */
+function resolveTxColumns(headers, required) {
+  const cols      = {};
+  const missing   = [];
+  const ambiguous = [];
+
+  Object.keys(TX_FIELDS).forEach(field => {
+    const def  = TX_FIELDS[field];
+    const hits = findHeaderMatches(headers, def.aliases);
+    cols[field] = hits.length ? hits[0] : -1;
+    if (hits.length > 1) {
+      ambiguous.push(`${def.header} (${hits.map(i => `"${headers[i]}" in column ${i + 1}`).join(", ")})`);
+    }
+  });
+  (required || []).forEach(field => {
+    if (cols[field] < 0) {
+      const def = TX_FIELDS[field];
+      missing.push(`${def.header} (or ${def.aliases.filter(a => a !== def.header).join(", ") || "no alias"})`);
+    }
+  });
+
+  if (missing.length || ambiguous.length) {
+    throw new Error(
+      "Transactions header problems:" +
+      (missing.length   ? `\n  Missing: ${missing.join("; ")}` : "") +
+      (ambiguous.length ? `\n  Ambiguous: ${ambiguous.join("; ")}` : "") +
+      `\n  Found: ${headers.filter(h => String(h).trim()).join(", ")}`
+    );
+  }
+  return cols;
+}
+
+/**
+ * Coerces one cell to its field's type:
+ *   date   → Date (Invalid Date if unparseable), "" when blank
+ *   number → number, parsing "$1,234.56" / "80%"; NaN if unparseable, "" when blank
+ *   type   → trimmed lowercase ("Buy " → "buy")
+ *   sym    → trimmed uppercase
+ *   string → trimmed text
+ */
+function coerceTxValue(field, value) {
+  const def = TX_FIELDS[field];
+  if (value == null || String(value).trim() === "") return "";
+
+  switch (def.type) {
+    case "date":
+      return value instanceof Date ? value : new Date(value);
+    case "number": {
+      if (typeof value === "number") return value;
+      const text = String(value).trim();
+      const num  = text.replace(/[$,\s]/g, "");
+      if (!/^[-+]?(\d+\.?\d*|\.\d+)%?$/.test(num)) return NaN;
+      return num.endsWith("%") ? parseFloat(num) / 100 : parseFloat(num);
+    }
+    case "type":
+      return String(value).trim().toLowerCase();
+    case "sym":
+      return String(value).trim().toUpperCase();
+    default:
+      return String(value).trim();
+  }
+}
+
+/**
+ * Reads the Transactions sheet through the schema.
+ * @param {Sheet}    sheet     Transactions sheet.
+ * @param {string[]} required  Canonical fields the caller needs (see TX_FIELDS).
+ * @returns {{headers: string[], cols: Object, raw: Array[], rows: Object[]}}
+ *   rows: one object per data row keyed by canonical field (fields not on
+ *   the sheet are undefined) plus `row`, the 1-based sheet row number.
+ */
+function readTransactions(sheet, required) {
+  if (!sheet) throw new Error('Sheet "Transactions" not found');
+
+  const raw     = sheet.getDataRange().getValues();
+  const headers = raw[0].map(h => String(h == null ? "" : h).trim());
+  const cols    = resolveTxColumns(headers, required);
+  const present = Object.keys(cols).filter(f => cols[f] >= 0);
+
+  const rows = raw.slice(1).map((r, i) => {
+    const o = { row: i + 2 };
+    present.forEach(f => { o[f] = coerceTxValue(f, r[cols[f]]); });
+    return o;
+  });
+  return { headers, cols, raw, rows };
+}
@@ -1,59 +1,42 @@
 /**
  * updateHistoricalTrancheMetrics()
  *
- * Reads the Transactions sheet, inserts a spacer column after TIDOverride,
- * then rebuilds the metrics columns to the right—removing the redundant Inc
- * field, renaming TaxInc → Inc, placing RocPS after IncPS, with columns
- * ordered as requested.
+ * Reads the Transactions sheet and recomputes the derived metrics block:
+ * a spacer column followed by WkStart through LotAlloc, to the right of
+ * TIDOverride.
+ *
+ * Idempotent: an existing block is found by its headers and updated in
+ * place, so reruns produce identical output and never touch user columns
+ * outside the block.
  */
 function updateHistoricalTrancheMetrics() {
   const ss    = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName("Transactions");
 
-  // 1) Read all data & locate fixed-left columns
-  const raw     = sheet.getDataRange().getValues();
-  const headers = raw[0];
-  const dateIdx     = headers.indexOf("Date");
-  const typeIdx     = headers.indexOf("Type");
-  const symIdx      = headers.indexOf("Sym");
-  const rocPctIdx   = headers.indexOf("RocPct");
-  const sharesIdx   = headers.indexOf("Shr");
-  const priceIdx    = headers.indexOf("Price");
-  const distIdx     = headers.indexOf("Dist");
-  const overrideIdx = headers.indexOf("TIDOverride");
-
-  if (
-    [dateIdx, typeIdx, symIdx, rocPctIdx, sharesIdx, priceIdx, distIdx, overrideIdx]
-      .some(i => i < 0)
-  ) {
-    throw new Error(
-      "Missing one of the required headers: " +
-      "Date, Type, Sym, ROCPct, Shr, Price, Dist, TIDOverride"
-    );
-  }
+  // 1) Read all data through the schema & locate fixed-left columns
+  const tx = readTransactions(sheet, [
+    "date", "type", "sym", "rocPct", "shr", "price", "dist", "tidOverride"
+  ]);
+  const raw         = tx.raw;
+  const headers     = tx.headers;
+  const typeIdx     = tx.cols.type;
+  const overrideIdx = tx.cols.tidOverride;
 
   // 2) Collect only the valid-date rows
   const rows = [];
-  for (let i = 1; i < raw.length; i++) {
-    const cell = raw[i][dateIdx];
-    if (cell instanceof Date && !isNaN(cell)) {
-      rows.push(raw[i]);
+  for (let i = 0; i < tx.rows.length; i++) {
+    const dt = tx.rows[i].date;
+    if (dt instanceof Date && !isNaN(dt)) {
+      rows.push(tx.rows[i]);
     } else {
       break;
     }
   }
   const numRows = rows.length;
 
-  // 3) Insert blank spacer column after TIDOverride
-  const spacerCol1 = overrideIdx + 2;  // 1-based index
-  sheet.insertColumnAfter(overrideIdx + 1);
-  sheet.getRange(1, spacerCol1).setValue(" ");
-  sheet
-    .getRange(2, spacerCol1, numRows, 1)
-    .setBackground("#D0E7E5");
-
-  // 4) Define rebuilt headers (to the right of spacer),
-  //    in this order: WkStart, TrID, CostBasis, DistPS, IncPS, RocPS, Inc, ROCAmt, TotShr, RemShr, TStat
+  // 3) Define the managed block: a blank spacer column followed by the
+  //    rebuilt headers, in this order: WkStart, TrID, CostBasis, DistPS, IncPS, RocPS, Inc, ROCAmt, TotShr, RemShr, TStat, LotAlloc.
+  //    New fields are only ever appended, so older sheets extend in place.
   const rebuilt = [
     "WkStart",   // WeekStart
     "TrID",      // TrancheID
@@ -65,45 +48,84 @@ function updateHistoricalTrancheMetrics() {
     "ROCAmt",    // return-of-capital amount
     "TotShr",    // running total shares
     "RemShr",    // remaining shares in tranche
-    "TStat"      // tranche status
+    "TStat",     // tranche status
+    "LotAlloc"   // sell → tranche allocation (TrID:shares, …)
   ];
 
-  // 5) Clear everything to the right of spacer, then write rebuilt headers
-  const lastCol       = sheet.getLastColumn();
-  const firstRebuilt1 = spacerCol1 + 1;
-  const colsToClear   = lastCol - firstRebuilt1 + 1;
-  if (colsToClear > 0) {
-    sheet
-      .getRange(1, firstRebuilt1, numRows + 1, colsToClear)
-      .clearContent()
-      .clearFormat()
-      .setNumberFormat("General");
+  // 4) Reuse the existing block if its headers are already on the sheet,
+  //    otherwise insert spacer + block right after TIDOverride. Columns
+  //    outside the block are never cleared or moved.
+  const found  = locateDerivedBlock_(headers, rebuilt, overrideIdx);
+  let blockIdx = found.start;
+  if (blockIdx < 0) {
+    sheet.insertColumnsAfter(overrideIdx + 1, rebuilt.length + 1);
+    blockIdx = overrideIdx + 2;
+  } else {
+    const hasSpacer = blockIdx - 1 > overrideIdx &&
+                      String(headers[blockIdx - 1] || "").trim() === "";
+
+    // Drop empty spacer columns left behind by earlier, non-idempotent runs
+    for (let c = blockIdx - (hasSpacer ? 2 : 1); c > overrideIdx; c--) {
+      const blankHdr = String(headers[c] || "").trim() === "";
+      const empty    = raw.every((r, i) => i === 0 || r[c] === "");
+      if (blankHdr && empty) {
+        sheet.deleteColumn(c + 1);
+        blockIdx--;
+      }
+    }
+
+    // Block found but without its spacer → add one in front of it
+    if (!hasSpacer) {
+      sheet.insertColumnBefore(blockIdx + 1);
+      blockIdx++;
+    }
+
+    // Block written by an older version → append the newer fields
+    if (found.have < rebuilt.length) {
+      sheet.insertColumnsAfter(blockIdx + found.have, rebuilt.length - found.have);
+    }
   }
+  const spacerCol1 = blockIdx;   // 1-based spacer column
+
+  // 5) Clear the spacer + block only (all rows, so removed ledger rows
+  //    leave nothing stale), then write spacer & rebuilt headers
+  const clearRows = Math.max(sheet.getLastRow(), numRows + 1);
   sheet
-    .getRange(1, firstRebuilt1, 1, rebuilt.length)
-    .setValues([rebuilt]);
+    .getRange(1, spacerCol1, clearRows, rebuilt.length + 1)
+    .clearContent()
+    .clearFormat()
+    .setNumberFormat("General");
+  sheet
+    .getRange(1, spacerCol1, 1, rebuilt.length + 1)
+    .setValues([[" "].concat(rebuilt)]);
 
   // 6) Notes map for headers
   const notes = {
+    Account:     "Optional account name. Lots, dividends and sells are tracked per account; tax treatment comes from the Accounts sheet (blank = taxable).",
     Date:        "Trade settlement date.",
-    Type:        "Event type: buy, sell, or dividend.",
+    Type:        "Event type: buy, sell, dividend, or split.",
     Sym:         "Ticker symbol.",
-    ROCPct:      "Return-of-capital % (0–1).",
-    Shr:         "Number of shares.",
-    Price:       "Price per share.",
+    RocPct:      "Return-of-capital % (0–1).",
+    Shr:         "Number of shares (on split rows: fractional shares paid as cash-in-lieu).",
+    Price:       "Price per share (on split rows: cash-in-lieu per share).",
     Dist:        "Distribution = Inc + ROCAmt.",
     TIDOverride:"Manual tranche ID override.",
+    ReinvShr:    "Dividend rows only: shares bought by reinvesting the distribution (DRIP). Opens a SYM_yyMMdd_DRIP_A tranche on Date.",
+    ReinvPx:     "Dividend rows only: price per reinvested share.",
+    Ratio:       "Split rows only: new shares per old share (2 for 2-for-1; 0.1 or \"1-for-10\" for a reverse split). Open tranches keep TrID, BuyDt and basis.",
+    ExDate:      "Optional ex-dividend date. Only tranches holding shares on this date share the dividend.",
     WkStart:     "Monday of the event’s week.",
-    TrID:        "Calculated tranche identifier (YYMMDD_A...).",
-    CostBasis:   "Shares × Price for buy/sell events.",
+    TrID:        "Calculated tranche identifier (YYMMDD_A..., prefixed with the account tag for named accounts). Sells and cash-in-lieu: first tranche relieved. Reinvested dividends: their DRIP tranche.",
+    CostBasis:   "Shares × Price for buy/sell events; ReinvShr × ReinvPx on reinvested dividends.",
     DistPS:      "Distribution per share = Dist ÷ TotalShares.",
     IncPS:       "Taxable income per share = Inc ÷ TotalShares.",
     RocPS:       "Return-of-capital per share = ROCAmt ÷ TotalShares.",
     Inc:         "Taxable portion of the distribution.",
     ROCAmt:      "Return-of-capital portion of the distribution.",
-    TotShr:      "Running total shares held.",
+    TotShr:      "Running total shares held (on dividend rows: held at the ex-date).",
     RemShr:      "Remaining shares in this tranche.",
-    TStat:       "Open, Partial, or Closed tranche status."
+    TStat:       "Open, Partial, or Closed tranche status.",
+    LotAlloc:    "Sell allocation across tranches (TrID:shares). Matched by Settings → LotMethod (FIFO, LIFO, HIFO, SPECIFIC) unless TIDOverride is set."
   };
 
   // 7) Apply notes to headers
@@ -116,161 +138,65 @@ function updateHistoricalTrancheMetrics() {
     }
   });
 
-  // 8) Build name→index map for rebuilt fields
-  const updatedHdrs = sheet
-    .getRange(1, 1, 1, sheet.getLastColumn())
-    .getValues()[0];
-  const fCols = {};
-  rebuilt.forEach(name => {
-    const idx = updatedHdrs.indexOf(name);
-    if (idx < 0) throw new Error("Missing rebuilt header: " + name);
-    fCols[name] = idx;
-  });
-
-  // 9) Set number/date formats for rebuilt columns
-  sheet
-    .getRange(2, fCols["WkStart"] + 1, numRows, 1)
-    .setNumberFormat("yyyy-MM-dd");
-  ["CostBasis", "ROCAmt", "Inc"].forEach(c => {
-    sheet
-      .getRange(2, fCols[c] + 1, numRows, 1)
-      .setNumberFormat("$#,##0.00");
-  });
-  ["DistPS", "IncPS", "RocPS"].forEach(c => {
-    sheet
-      .getRange(2, fCols[c] + 1, numRows, 1)
-      .setNumberFormat("$#,##0.0000");
-  });
-  ["TotShr", "RemShr"].forEach(c => {
-    sheet
-      .getRange(2, fCols[c] + 1, numRows, 1)
-      .setNumberFormat("0.0000");
-  });
-
-  // 10) Populate WeekStart, CostBasis, running shares,
-  //     and distribution breakdown fields
-  const symbolRun = {};
-  rows.forEach((r, i) => {
-    const rowNum = i + 2;
-    const dt     = new Date(r[dateIdx]);
-    const type   = String(r[typeIdx] || "").toLowerCase();
-    const sym    = String(r[symIdx]  || "").trim().toUpperCase();
-    const sh     = parseFloat(r[sharesIdx]) || 0;
-    const px     =
-      parseFloat(String(r[priceIdx] || "").replace(/[^0-9.\-]/g, "")) || 0;
-    const pct    = parseFloat(r[rocPctIdx]) || 0;
-    const rawDist= parseFloat(r[distIdx])   || 0;
-
-    // WeekStart
-    sheet
-      .getRange(rowNum, fCols["WkStart"] + 1)
-      .setValue(getWeekStart(dt));
-
-    // CostBasis for buy
-    if (type === "buy") {
-      sheet
-        .getRange(rowNum, fCols["CostBasis"] + 1)
-        .setValue(sh * px);
-    }
-
-    // Running total shares
-    symbolRun[sym] = (symbolRun[sym] || 0)
-                   + (type === "buy"  ?  sh
-                      : type === "sell" ? -sh
-                                         : 0);
-    sheet
-      .getRange(rowNum, fCols["TotShr"] + 1)
-      .setValue(symbolRun[sym]);
-
-    // On dividend rows, fill DistPS, IncPS, RocPS, Inc, ROCAmt
-    if (type === "dividend") {
-      const ts     = symbolRun[sym] || 0;
-      const rocAmt = pct * rawDist;
-      const incAmt = (1 - pct) * rawDist;
-      const incPS  = ts ? incAmt  / ts : 0;
-      const rocPS  = ts ? rocAmt  / ts : 0;
-      const distPS = ts ? rawDist / ts : 0;
-
-      sheet.getRange(rowNum, fCols["DistPS"] + 1).setValue(distPS);
-      sheet.getRange(rowNum, fCols["IncPS"]  + 1).setValue(incPS);
-      sheet.getRange(rowNum, fCols["RocPS"]  + 1).setValue(rocPS);
-      sheet.getRange(rowNum, fCols["Inc"]    + 1).setValue(incAmt);
-      sheet.getRange(rowNum, fCols["ROCAmt"] + 1).setValue(rocAmt);
-    }
-  });
-
-  // 11) Assign Tranche IDs (skip dividends)
-  const trancheMap = {};
-  const assigned   = [];
-  rows.forEach((r, i) => {
-    const rowNum = i + 2;
-    const type   = String(r[typeIdx] || "").toLowerCase();
-    if (type === "dividend") {
-      assigned[i] = null;
-      return;
-    }
-
-    let tid = r[overrideIdx];
-    if (!tid) {
-      const key = String(r[symIdx]).trim().toUpperCase()
-                + "_" + Utilities.formatDate(
-                              new Date(r[dateIdx]),
-                              ss.getSpreadsheetTimeZone(),
-                              "yyMMdd"
-                          );
-      const cnt = trancheMap[key] || 0;
-      tid = key + "_" + String.fromCharCode(65 + cnt);
-      trancheMap[key] = cnt + 1;
-    }
-    sheet.getRange(rowNum, fCols["TrID"] + 1).setValue(tid);
-    assigned[i] = tid;
-  });
-
-  // 12) Compute RemShr & TStat, highlight “Partial”
-  const buys = {};
-  rows.forEach((r, i) => {
-    const type = String(r[typeIdx] || "").toLowerCase();
-    const id   = assigned[i];
-    if (type === "buy" && id) {
-      const s = parseFloat(r[sharesIdx]) || 0;
-      buys[id] = (buys[id] || 0) + s;
+  // 8) Compute WkStart, TrID, CostBasis, running shares, distribution
+  //    breakdown, RemShr and TStat (see computeLedgerMetrics)
+  const tz      = ss.getSpreadsheetTimeZone();
+  const metrics = computeLedgerMetrics(
+    rows.map(r => ({
+      date:        r.date,
+      type:        r.type,
+      sym:         r.sym,
+      shr:         r.shr,
+      price:       r.price,
+      dist:        r.dist,
+      rocPct:      r.rocPct,
+      tidOverride: r.tidOverride,
+      exDate:      r.exDate,
+      ratio:       r.ratio,
+      reinvShr:    r.reinvShr,
+      reinvPx:     r.reinvPx,
+      account:     r.account,
+      row:         r.row
+    })),
+    {
+      formatTrDate: dt => Utilities.formatDate(dt, tz, "yyMMdd"),
+      lotMethod:    getSetting("LotMethod", "FIFO")
     }
+  );
+
+  // 9) Build spacer + rebuilt block in memory: values, number formats,
+  //    and backgrounds (spacer shading, “Partial” TStat in red)
+  const formats = {
+    WkStart:   "yyyy-MM-dd",
+    CostBasis: "$#,##0.00",
+    Inc:       "$#,##0.00",
+    ROCAmt:    "$#,##0.00",
+    DistPS:    "$#,##0.0000",
+    IncPS:     "$#,##0.0000",
+    RocPS:     "$#,##0.0000",
+    TotShr:    "0.0000",
+    RemShr:    "0.0000"
+  };
+  const fmtRow = ["General"].concat(rebuilt.map(name => formats[name] || "General"));
+  const values = [];
+  const fmts   = [];
+  const bgs    = [];
+  metrics.forEach(m => {
+    values.push([""].concat(rebuilt.map(name => m[name])));
+    fmts.push(fmtRow);
+    bgs.push(["#D0E7E5"].concat(rebuilt.map(name =>
+      name === "TStat" && m.TStat === "Partial" ? "#FFCCCC" : null
+    )));
   });
 
-  rows.forEach((r, i) => {
-    const rowNum = i + 2;
-    const type   = String(r[typeIdx] || "").toLowerCase();
-    const id     = assigned[i];
-    if (!id || type === "dividend") return;
-
-    // sum sells through this row
-    const sold = rows.reduce((sum, r2, j) => {
-      const t2 = String(r2[typeIdx]).toLowerCase();
-      if (
-        t2 === "sell" &&
-        assigned[j] === id &&
-        new Date(r2[dateIdx]) <= new Date(r[dateIdx])
-      ) {
-        return sum + (parseFloat(r2[sharesIdx]) || 0);
-      }
-      return sum;
-    }, 0);
-
-    const total     = buys[id] || 0;
-    const remaining = total - sold;
-    const status    =
-      remaining === 0    ? "Closed" :
-      remaining < total  ? "Partial" :
-                           "Open";
-
+  // 10–12) Write the whole block in one pass
+  if (numRows) {
     sheet
-      .getRange(rowNum, fCols["RemShr"] + 1)
-      .setValue(remaining);
-
-    const sc = sheet.getRange(rowNum, fCols["TStat"] + 1);
-    sc.setValue(status);
-    sc.setBackground(status === "Partial" ? "#FFCCCC" : null);
-  });
+      .getRange(2, spacerCol1, numRows, rebuilt.length + 1)
+      .setNumberFormats(fmts)
+      .setValues(values)
+      .setBackgrounds(bgs);
+  }
 
   // 13) Final housekeeping
   autoSizeAllColumns(sheet, 4);
@@ -283,15 +209,29 @@ function updateHistoricalTrancheMetrics() {
 }
 
 
-
-
 /**
- * Returns the Monday of the week for a given Date.
+ * Finds the derived block to the right of TIDOverride by its headers.
+ * Returns { start, have }: start is the zero-based index of the first
+ * rebuilt header (WkStart), or -1 when no block exists yet; have is how
+ * many rebuilt headers are already there, in order (a block written by an
+ * older version is a prefix of `rebuilt`).
+ * Throws if the block is out of order or a newer header sits elsewhere,
+ * rather than guessing which columns are safe to overwrite.
  */
-function getWeekStart(dateObj) {
-  const dt = new Date(dateObj);
-  const day = dt.getDay();               // Sun=0 … Sat=6
-  const shift = (day + 6) % 7;           // Mon→0 … Sun→6
-  dt.setDate(dt.getDate() - shift);
-  return dt;
+function locateDerivedBlock_(headers, rebuilt, overrideIdx) {
+  const names = headers.map(h => String(h || "").trim());
+  const start = names.indexOf(rebuilt[0], overrideIdx + 1);
+  if (start < 0) return { start: -1, have: 0 };
+
+  let have = 0;
+  while (have < rebuilt.length && names[start + have] === rebuilt[have]) have++;
+
+  const stray = rebuilt.slice(have).find(name => names.indexOf(name, overrideIdx + 1) >= 0);
+  if (stray) {
+    throw new Error(
+      `Transactions has a "${rebuilt[0]}" column but the derived block is out of order ` +
+      `("${stray}" is not where expected). Expected contiguous headers: ${rebuilt.join(", ")}`
+    );
+  }
+  return { start, have };
 }
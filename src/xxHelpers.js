@@ -116,24 +116,52 @@ function findHeaderIndex(headers, options) {
   }
   return -1;
 }
+
+/**
+ * Returns every zero-based index in `headers` matching any of `options`,
+ * ignoring case and surrounding/inner whitespace ("Cost Basis" ≡ "costbasis").
+ * Used to detect ambiguous columns where findHeaderIndex() would silently
+ * pick the first.
+ * @param {string[]} headers   The sheet’s header row.
+ * @param {string[]} options   Accepted names.
+ * @returns {number[]}         Matching indexes, in sheet order.
+ */
+function findHeaderMatches(headers, options) {
+  const norm   = h => String(h == null ? "" : h).replace(/\s+/g, "").toLowerCase();
+  const wanted = options.map(norm);
+  return headers.reduce((hits, h, i) => {
+    if (norm(h) && wanted.includes(norm(h))) hits.push(i);
+    return hits;
+  }, []);
+}
+/** Per-execution cache behind getPriceService(). */
+const PRICE_SERVICE_CACHE_ = { service: null };
+
 /**
- * Looks up the current price for a given symbol.
- * Expects a sheet named "Prices" with headers in row 1:
- *   A: Sym   B: CurrPx
+ * Returns the price service for this run (see createPriceService), reading
+ * the "MarketData" sheet (A: Sym, B: CurrPx, C: LastUpdate) on first use
+ * only. Every builder in a rebuildAll shares it; refreshMarketData()
+ * drops it after writing new prices.
+ */
+function getPriceService() {
+  if (PRICE_SERVICE_CACHE_.service) return PRICE_SERVICE_CACHE_.service;
+
+  const pSheet = SpreadsheetApp.getActive().getSheetByName('MarketData');
+  if (!pSheet) throw new Error('Sheet "MarketData" not found');
+  const rows = pSheet.getLastRow() > 1
+    ? pSheet.getRange(2, 1, pSheet.getLastRow() - 1, 3).getValues()
+    : [];
+
+  PRICE_SERVICE_CACHE_.service = createPriceService(rows);
+  return PRICE_SERVICE_CACHE_.service;
+}
+
+/**
+ * Looks up the current price for a given symbol from MarketData.
+ * Returns null (not 0) when the symbol is unlisted or has no price.
  */
 function priceGet(sym) {
-  const ss     = SpreadsheetApp.getActive();
-  const pSheet = ss.getSheetByName('MarketData');
-  if (!pSheet) throw new Error('Sheet "Prices" not found');
-  
-  // pull values once
-  const rows   = pSheet.getRange(2, 1, pSheet.getLastRow() - 1, 2).getValues();
-  const map    = rows.reduce((m, [s, p]) => {
-    m[s] = +p;
-    return m;
-  }, {});
-  
-  return map[sym] || 0;
+  return getPriceService().priceOf(sym);
 }
 
 /**
@@ -145,5 +173,41 @@ function formatDate_(dt) {
   return Utilities.formatDate(new Date(dt), tz, 'yyyy-MM-dd');
 }
 
+/**
+ * Reads a value from the optional "Settings" sheet (headers: Key, Value).
+ * Returns `fallback` when the sheet, key or value is missing.
+ * @param {string} key       Setting name, e.g. "LotMethod".
+ * @param {*}      fallback  Default value.
+ * @returns {*}
+ */
+function getSetting(key, fallback) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Settings");
+  if (!sheet || sheet.getLastRow() < 2) return fallback;
 
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  const hit  = rows.find(([k]) => String(k).trim() === key);
+  return hit && hit[1] !== "" ? hit[1] : fallback;
+}
 
+/**
+ * Reads account tax treatments from the optional "Accounts" sheet
+ * (headers: Account, TaxTreatment — one of TAX_TREATMENTS). Returns null
+ * when the sheet is missing, in which case every account is taxable.
+ * @returns {Object|null} { account name → "taxable" | "ira" | "roth" }
+ */
+function getAccountTreatments() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Accounts");
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  return rows.reduce((map, [account, treatment]) => {
+    const name = String(account).trim();
+    if (!name) return map;
+    const t = String(treatment).trim().toLowerCase();
+    if (!TAX_TREATMENTS.includes(t)) {
+      throw new Error(`Account "${name}" has TaxTreatment "${treatment}"; use one of: ${TAX_TREATMENTS.join(", ")}`);
+    }
+    map[name] = t;
+    return map;
+  }, {});
+}
@@ -0,0 +1,130 @@
+/**
+ * Broker CSV importer tests against the sample exports in
+ * test/fixtures/csv. Every sample holds the same activity (two buys, a
+ * dividend, two sells) plus rows the importer must send to review.
+ */
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const fs     = require("node:fs");
+const path   = require("node:path");
+
+const {
+  IMPORT_PROFILES,
+  parseCsv,
+  parseColumnMapping,
+  importKey,
+  planImport
+} = require("../src/importCore.js");
+
+const csv = name => parseCsv(fs.readFileSync(path.join(__dirname, "fixtures", "csv", name), "utf8"));
+
+function ledger(name) {
+  return require(path.join(__dirname, "fixtures", name)).map(r => {
+    const [y, m, d] = r.date.split("-").map(Number);
+    return Object.assign({}, r, { date: new Date(y, m - 1, d) });
+  });
+}
+
+const EXPECTED_KEYS = [
+  "2024-01-02|buy|ABC|100.0000|1000.00",
+  "2024-01-05|buy|XYZ|10.0000|1000.00",
+  "2024-01-31|dividend|ABC|0.0000|50.00",
+  "2024-03-01|sell|ABC|30.0000|450.00",
+  "2024-06-03|sell|XYZ|10.0000|900.00"
+];
+
+const EXPECTED_REVIEW = {
+  schwab:   [[5, "Reinvest Shares"], [9, ""]],
+  fidelity: [[6, "REINVESTMENT ABC PREMIUM INCOME ETF (ABC) (Cash)"], [11, ""]],
+  etrade:   [[6, "Fee"]],
+  generic:  [[5, "Transfer"]]
+};
+
+Object.keys(EXPECTED_REVIEW).forEach(name => {
+  test(`planImport: ${name} sample maps buys, sells and dividends`, () => {
+    const plan = planImport(csv(`${name}.csv`), IMPORT_PROFILES[name], []);
+
+    assert.deepEqual(plan.append.map(r => r.key), EXPECTED_KEYS);
+    assert.deepEqual(
+      plan.append.map(r => [r.type, r.sym, r.shr, r.price, r.dist]),
+      [
+        ["buy",      "ABC", 100, 10,  ""],
+        ["buy",      "XYZ", 10,  100, ""],
+        ["dividend", "ABC", "",  "",  50],
+        ["sell",     "ABC", 30,  15,  ""],
+        ["sell",     "XYZ", 10,  90,  ""]
+      ]
+    );
+    assert.equal(plan.duplicates, 0);
+  });
+
+  test(`planImport: ${name} sample sends unclassified rows to review`, () => {
+    const plan = planImport(csv(`${name}.csv`), IMPORT_PROFILES[name], []);
+
+    assert.deepEqual(plan.review.map(r => [r.line, r.action]), EXPECTED_REVIEW[name]);
+    plan.review.forEach(r => assert.equal(r.reason, "Unrecognised action"));
+  });
+
+  test(`planImport: re-importing the ${name} sample adds nothing`, () => {
+    const first  = planImport(csv(`${name}.csv`), IMPORT_PROFILES[name], []);
+    const second = planImport(csv(`${name}.csv`), IMPORT_PROFILES[name], first.append);
+
+    assert.equal(second.append.length, 0);
+    assert.equal(second.duplicates, EXPECTED_KEYS.length);
+  });
+});
+
+test("planImport: only rows missing from the existing ledger are appended", () => {
+  const plan = planImport(csv("schwab.csv"), IMPORT_PROFILES.schwab, ledger("ledger-trades.json"));
+
+  assert.deepEqual(plan.append.map(r => r.key), ["2024-01-31|dividend|ABC|0.0000|50.00"]);
+  assert.equal(plan.duplicates, 4);
+});
+
+test("planImport: identical trades on one day are counted, not collapsed", () => {
+  const grid = [
+    ["Date", "Type", "Sym", "Shr", "Price", "Amount"],
+    ["2024-01-02", "buy", "ABC", "10", "10", ""],
+    ["2024-01-02", "buy", "ABC", "10", "10", ""]
+  ];
+  const once = [{ date: new Date(2024, 0, 2), type: "buy", sym: "ABC", shr: 10, price: 10 }];
+
+  assert.equal(planImport(grid, IMPORT_PROFILES.generic, []).append.length, 2);
+  assert.equal(planImport(grid, IMPORT_PROFILES.generic, once).append.length, 1);
+});
+
+test("planImport: a custom generic mapping reads renamed columns", () => {
+  const grid = [
+    ["When", "Activity", "Ticker", "Units", "Px", "Net"],
+    ["01/02/2024", "Bought", "abc", "100", "", "(1,000.00)"]
+  ];
+  const profile = {
+    columns: Object.assign({}, IMPORT_PROFILES.generic.columns,
+      parseColumnMapping("date=When; action=Activity; qty=Units; price=Px; amount=Net")),
+    types: IMPORT_PROFILES.generic.types
+  };
+  const [row] = planImport(grid, profile, []).append;
+
+  assert.equal(row.key, "2024-01-02|buy|ABC|100.0000|1000.00");
+  assert.equal(row.price, 10);
+});
+
+test("planImport: a file without the profile's header row is rejected", () => {
+  assert.throws(() => planImport(csv("fidelity.csv"), IMPORT_PROFILES.etrade, []), /No header row/);
+});
+
+test("parseColumnMapping: unknown keys are rejected", () => {
+  assert.throws(() => parseColumnMapping("when=Date"), /Unknown import column "when"/);
+});
+
+test("parseCsv: quoted commas, doubled quotes and CRLF line ends", () => {
+  assert.deepEqual(parseCsv('a,"b, ""c"""\r\n1,2\r\n'), [["a", 'b, "c"'], ["1", "2"]]);
+});
+
+test("importKey: dividends key on Dist, trades on shares × price", () => {
+  const d = new Date(2024, 0, 31);
+  assert.equal(importKey({ date: d, type: "Dividend", sym: " abc ", dist: 50 }),
+               "2024-01-31|dividend|ABC|0.0000|50.00");
+  assert.equal(importKey({ date: d, type: "sell", sym: "ABC", shr: "30", price: "15" }),
+               "2024-01-31|sell|ABC|30.0000|450.00");
+});
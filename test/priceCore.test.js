@@ -0,0 +1,64 @@
+/**
+ * Price refresh helpers: the mock provider, quote URL/JSON handling,
+ * the per-run price service and PriceHistory merging.
+ */
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createMockPriceProvider,
+  buildQuoteUrl,
+  extractQuotePrice,
+  createPriceService,
+  mergePriceHistory
+} = require("../src/priceCore.js");
+
+test("createMockPriceProvider: omits symbols it cannot price", () => {
+  const provider = createMockPriceProvider({ abc: 10.5, XYZ: "", QQQ: 0 });
+
+  assert.deepEqual(provider.fetch(["ABC", "XYZ", "QQQ", "NEW"]), { ABC: 10.5 });
+});
+
+test("buildQuoteUrl: fills {sym} and requires it", () => {
+  assert.equal(buildQuoteUrl("https://q.example/v1?s={sym}", "BRK.B"), "https://q.example/v1?s=BRK.B");
+  assert.throws(() => buildQuoteUrl("https://q.example/v1", "ABC"), /must contain \{sym\}/);
+});
+
+test("extractQuotePrice: follows a dot path through objects and arrays", () => {
+  const body = JSON.stringify({ quoteResponse: { result: [{ regularMarketPrice: 57.12 }] } });
+
+  assert.equal(extractQuotePrice(body, "quoteResponse.result.0.regularMarketPrice"), 57.12);
+  assert.ok(isNaN(extractQuotePrice(body, "quoteResponse.result.1.regularMarketPrice")));
+  assert.ok(isNaN(extractQuotePrice({ price: 0 }, "price")));
+});
+
+test("createPriceService: unlisted, blank and zero prices are null, not 0", () => {
+  const asOf = new Date(2024, 5, 3, 16);
+  const svc  = createPriceService([
+    [" abc ", 10, asOf],
+    ["XYZ", "$1,234.50", ""],
+    ["ZERO", 0, asOf],
+    ["BLANK", "", ""]
+  ]);
+
+  assert.equal(svc.priceOf("ABC"), 10);
+  assert.equal(svc.updatedOf("abc"), asOf);
+  assert.equal(svc.priceOf("XYZ"), 1234.5);
+  assert.equal(svc.priceOf("ZERO"), null);
+  assert.equal(svc.priceOf("BLANK"), null);
+  assert.equal(svc.priceOf("NONE"), null);
+});
+
+test("mergePriceHistory: the last refresh of a day replaces that day's close", () => {
+  const rows = [
+    ["2024-06-03", "ABC", 10],
+    ["2024-06-04", "ABC", 10.2],
+    ["2024-06-04", "XYZ", 20]
+  ];
+
+  assert.deepEqual(mergePriceHistory(rows, { ABC: 10.4 }, "2024-06-04"), [
+    ["2024-06-03", "ABC", 10],
+    ["2024-06-04", "ABC", 10.4],
+    ["2024-06-04", "XYZ", 20]
+  ]);
+});
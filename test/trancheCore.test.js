@@ -0,0 +1,908 @@
+/**
+ * Fixture-ledger tests for computeLedgerMetrics and computeTrancheState.
+ * Fixtures live in test/fixtures as JSON rows shaped like readTransactions()
+ * output; their "yyyy-MM-dd" dates are read as local dates, as the sheet
+ * returns them.
+ */
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const path   = require("node:path");
+
+const {
+  computeLedgerMetrics,
+  computeTrancheState,
+  buildTrancheStateRows,
+  aggregateIncomeWeeks,
+  holdingTerm,
+  reconcile1099,
+  planRocReclass,
+  eligibilityOrder,
+  findLedgerIssues,
+  parseSplitRatio,
+  detectWashSales,
+  isTaxableAccount,
+  isStalePrice,
+  snapshotTrancheState,
+  STATE_HISTORY_KEYS,
+  rollupYieldBySymbol,
+  xirr,
+  makePriceLookup,
+  computeWindowReturns,
+  aggregateIncomePeriods,
+  parseRate,
+  qualifiedShareFromBroker,
+  estimatedTaxWorksheet
+} = require("../src/trancheCore.js");
+
+function ledger(name) {
+  return require(path.join(__dirname, "fixtures", name)).map(r => {
+    const [y, m, d] = r.date.split("-").map(Number);
+    return Object.assign({}, r, { date: new Date(y, m - 1, d) });
+  });
+}
+
+/** Ledger rows with the derived columns filled in, as buildTrancheState reads them. */
+function withMetrics(rows, opts) {
+  const metrics = computeLedgerMetrics(rows, opts);
+  return rows.map((r, i) => Object.assign({}, r, {
+    trID:     metrics[i].TrID,
+    rocAmt:   metrics[i].ROCAmt,
+    inc:      metrics[i].Inc,
+    tStat:    metrics[i].TStat,
+    lotAlloc: metrics[i].LotAlloc
+  }));
+}
+
+const byId = (tranches, id) => tranches.find(t => t.ID === id);
+
+test("computeLedgerMetrics: buys open tranches, FIFO sells relieve the oldest", () => {
+  const m = computeLedgerMetrics(ledger("ledger-trades.json"));
+
+  assert.deepEqual(m.map(o => o.TrID), [
+    "ABC_240102_A", "XYZ_240105_A", "ABC_240201_A",
+    "ABC_240102_A", "ABC_240102_A", "XYZ_240105_A"
+  ]);
+  assert.deepEqual(m.map(o => o.TotShr), [100, 10, 150, 120, 50, 0]);
+  assert.equal(m[0].CostBasis, 1000);
+  assert.equal(m[2].CostBasis, 600);
+});
+
+test("computeLedgerMetrics: partial sell, full close and untouched tranche statuses", () => {
+  const m = computeLedgerMetrics(ledger("ledger-trades.json"));
+
+  assert.equal(m[3].LotAlloc, "ABC_240102_A:30");
+  assert.equal(m[3].RemShr, 70);
+  assert.equal(m[3].TStat, "Partial");
+
+  assert.equal(m[4].RemShr, 0);
+  assert.equal(m[4].TStat, "Closed");
+  assert.equal(m[5].TStat, "Closed");
+
+  assert.equal(m[2].RemShr, 50);
+  assert.equal(m[2].TStat, "Open");
+});
+
+/** Three ABC lots at 10, 14 and 12, then one 80-share sell. */
+const threeLots = () => [
+  { date: new Date(2024, 0, 2), type: "buy",  sym: "ABC", shr: 100, price: 10 },
+  { date: new Date(2024, 1, 1), type: "buy",  sym: "ABC", shr: 50,  price: 14 },
+  { date: new Date(2024, 2, 1), type: "buy",  sym: "ABC", shr: 50,  price: 12 },
+  { date: new Date(2024, 3, 1), type: "sell", sym: "ABC", shr: 80,  price: 15 }
+];
+
+test("computeLedgerMetrics: LIFO relieves the newest lot instead", () => {
+  const m = computeLedgerMetrics(ledger("ledger-trades.json"), { lotMethod: "LIFO" });
+
+  assert.equal(m[3].LotAlloc, "ABC_240201_A:30");
+  assert.equal(m[4].LotAlloc, "ABC_240201_A:20, ABC_240102_A:50");
+});
+
+test("computeLedgerMetrics: FIFO, LIFO and HIFO pick different lots", () => {
+  const alloc = method => computeLedgerMetrics(threeLots(), { lotMethod: method })[3].LotAlloc;
+
+  assert.equal(alloc("FIFO"), "ABC_240102_A:80");
+  assert.equal(alloc("LIFO"), "ABC_240301_A:50, ABC_240201_A:30");
+  assert.equal(alloc("HIFO"), "ABC_240201_A:50, ABC_240301_A:30");
+});
+
+test("computeLedgerMetrics: an explicit TIDOverride wins over the lot method", () => {
+  const rows = threeLots();
+  rows[3].tidOverride = "ABC_240301_A";
+  const m = computeLedgerMetrics(rows, { lotMethod: "FIFO" });
+
+  assert.equal(m[3].TrID, "ABC_240301_A");
+  assert.equal(m[3].LotAlloc, "ABC_240301_A:80");
+});
+
+test("computeLedgerMetrics: SPECIFIC requires a TIDOverride on every sell", () => {
+  assert.throws(
+    () => computeLedgerMetrics(threeLots(), { lotMethod: "SPECIFIC" }),
+    /has no TIDOverride; lot method SPECIFIC/
+  );
+
+  const rows = threeLots();
+  rows[3].tidOverride = "ABC_240201_A";
+  rows[3].shr = 50;
+  const m = computeLedgerMetrics(rows, { lotMethod: "SPECIFIC" });
+  assert.equal(m[3].LotAlloc, "ABC_240201_A:50");
+  assert.equal(m[3].TStat, "Closed");
+});
+
+test("computeLedgerMetrics: an unknown lot method is rejected", () => {
+  assert.throws(
+    () => computeLedgerMetrics(threeLots(), { lotMethod: "avg" }),
+    /Unknown lot method "AVG"\. Use one of: FIFO, LIFO, HIFO, SPECIFIC/
+  );
+});
+
+test("computeLedgerMetrics: shares sold beyond the open lots go to an orphan tranche", () => {
+  const rows = threeLots();
+  rows[3].shr = 230;
+  const m = computeLedgerMetrics(rows);
+
+  assert.equal(
+    m[3].LotAlloc,
+    "ABC_240102_A:100, ABC_240201_A:50, ABC_240301_A:50, ABC_240401_A:30"
+  );
+  assert.equal(m[3].TrID, "ABC_240102_A");
+});
+
+test("computeLedgerMetrics: ROC dividends split into ROCAmt and Inc per share held", () => {
+  const m = computeLedgerMetrics(ledger("ledger-roc.json"));
+
+  assert.equal(m[1].ROCAmt, 30);
+  assert.equal(m[1].Inc, 20);
+  assert.equal(m[1].DistPS, 0.5);
+  assert.equal(m[3].TotShr, 200);
+  assert.equal(m[3].ROCAmt, 60);
+  assert.equal(m[3].Inc, 40);
+  assert.equal(m[3].RocPS, 0.3);
+});
+
+test("computeTrancheState: realized gains on partial and full closes", () => {
+  const st = computeTrancheState(withMetrics(ledger("ledger-trades.json")));
+
+  const abc = byId(st.tranches, "ABC_240102_A");
+  assert.equal(abc.ShSold, 100);
+  assert.equal(abc.SellPx, 12.2);
+  assert.deepEqual(
+    st.realized.map(r => [r.TrID, r.ShSold, r.Proceeds, r.CostBasis, r.RealizedGain]),
+    [
+      ["ABC_240102_A", 30, 450, 300, 150],
+      ["ABC_240102_A", 70, 770, 700, 70],
+      ["XYZ_240105_A", 10, 900, 1000, -100]
+    ]
+  );
+  assert.equal(byId(st.tranches, "ABC_240201_A").ShSold, 0);
+});
+
+test("computeTrancheState: ROC is prorated by shares held and relieved on sale", () => {
+  const st = computeTrancheState(withMetrics(ledger("ledger-roc.json")));
+
+  assert.equal(st.rocMap.ABC_240102_A, 60);
+  assert.equal(st.rocMap.ABC_240215_A, 30);
+  assert.equal(st.incMap.ABC_240102_A, 40);
+  assert.equal(st.incMap.ABC_240215_A, 20);
+
+  // Half of ABC_240102_A's shares leave with half its cost and half its ROC so far
+  const [lot] = st.realized;
+  assert.equal(lot.CostBasis, 500);
+  assert.equal(lot.ROCAdj, 30);
+  assert.equal(lot.RealizedGain, 130);
+  assert.equal(byId(st.tranches, "ABC_240102_A").Status, "Partial");
+});
+
+test("eligibilityOrder: dividends sort by ex-date, before same-day trades", () => {
+  const rows = [
+    { type: "buy",      sym: "ABC", date: new Date(2024, 0, 2),  shr: 100, price: 10 },
+    { type: "dividend", sym: "ABC", date: new Date(2024, 2, 15), exDate: new Date(2024, 2, 1),
+      dist: 30, rocPct: 0.5 },
+    { type: "buy",      sym: "ABC", date: new Date(2024, 1, 15), shr: 50, price: 12 },
+    { type: "buy",      sym: "ABC", date: new Date(2024, 2, 1),  shr: 50, price: 12 }
+  ];
+  assert.deepEqual(eligibilityOrder(rows), [0, 2, 1, 3]);
+
+  // The Feb 15 buy was entered below the dividend but held on the ex-date;
+  // the buy on the ex-date itself is not eligible.
+  const m = computeLedgerMetrics(rows);
+  assert.equal(m[1].TotShr, 150);
+  assert.equal(m[1].DistPS, 0.2);
+
+  const st = computeTrancheState(withMetrics(rows));
+  assert.equal(st.rocMap.ABC_240102_A, 10);
+  assert.equal(st.rocMap.ABC_240215_A, 5);
+  assert.equal(st.rocMap.ABC_240301_A, undefined);
+});
+
+test("parseSplitRatio: new shares per old share", () => {
+  assert.equal(parseSplitRatio(2), 2);
+  assert.equal(parseSplitRatio("2:1"), 2);
+  assert.equal(parseSplitRatio("3-for-2"), 1.5);
+  assert.equal(parseSplitRatio(0.1), 0.1);
+  assert.equal(parseSplitRatio("1:10"), 0.1);
+  assert.equal(parseSplitRatio("1-for-10"), 0.1);
+  assert.equal(parseSplitRatio("1 for 10"), 0.1);
+  assert.ok(isNaN(parseSplitRatio("")));
+  assert.ok(isNaN(parseSplitRatio(0)));
+  assert.ok(isNaN(parseSplitRatio("two")));
+});
+
+test("computeTrancheState: a forward split rescales shares and price, keeping TrID and basis", () => {
+  const rows = withMetrics([
+    { date: new Date(2024, 0, 2), type: "buy",      sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2024, 2, 1), type: "split",    sym: "ABC", ratio: "2:1" },
+    { date: new Date(2024, 2, 15), type: "dividend", sym: "ABC", dist: 20, rocPct: 0 },
+    { date: new Date(2024, 3, 1), type: "sell",     sym: "ABC", shr: 50,  price: 6 }
+  ]);
+  assert.deepEqual(rows.map(r => r.tStat), ["Open", "", "", "Partial"]);
+  assert.equal(rows[3].lotAlloc, "ABC_240102_A:50");
+
+  const st = computeTrancheState(rows);
+  const [t] = st.tranches;
+  assert.deepEqual(
+    [t.ID, t.ShBuy, t.BuyPx, t.ShSold, t.CostBasis],
+    ["ABC_240102_A", 200, 5, 50, 1000]
+  );
+  assert.equal(computeLedgerMetrics(rows)[2].DistPS, 0.1);
+  assert.deepEqual(
+    st.realized.map(r => [r.ShSold, r.CostBasis, r.Proceeds, r.RealizedGain]),
+    [[50, 250, 300, 50]]
+  );
+  assert.equal(st.openBasis.ABC_240102_A, 750);
+});
+
+test("computeTrancheState: a 1-for-10 reverse split pays cash-in-lieu as a partial sell", () => {
+  const rows = withMetrics([
+    { date: new Date(2024, 0, 2), type: "buy",   sym: "ABC", shr: 105, price: 2 },
+    { date: new Date(2024, 2, 1), type: "split", sym: "ABC", ratio: "1-for-10", shr: 0.5, price: 25 }
+  ]);
+  assert.equal(rows[1].trID, "ABC_240102_A");
+  assert.equal(rows[1].lotAlloc, "ABC_240102_A:0.5");
+  assert.equal(rows[1].tStat, "Partial");
+
+  const st = computeTrancheState(rows);
+  const [t] = st.tranches;
+  assert.equal(t.ID, "ABC_240102_A");
+  assert.ok(Math.abs(t.ShBuy - t.ShSold - 10) < 1e-9);
+  assert.equal(t.BuyPx, 20);
+  assert.equal(t.CostBasis, 210);
+  assert.equal(t.Status, "Partial");
+  assert.deepEqual(
+    st.realized.map(r => [r.TrID, r.ShSold, r.Proceeds, r.CostBasis, r.RealizedGain]),
+    [["ABC_240102_A", 0.5, 12.5, 10, 2.5]]
+  );
+  assert.equal(st.openBasis.ABC_240102_A, 200);
+});
+
+test("computeLedgerMetrics: reinvested shares open a DRIP tranche that earns later dividends", () => {
+  const rows = withMetrics([
+    { date: new Date(2024, 0, 2),  type: "buy",      sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2024, 0, 31), type: "dividend", sym: "ABC", dist: 50, rocPct: 0,
+      reinvShr: 2, reinvPx: 20 },
+    { date: new Date(2024, 1, 29), type: "dividend", sym: "ABC", dist: 102, rocPct: 0 }
+  ]);
+  const m = computeLedgerMetrics(rows);
+
+  assert.equal(m[1].TrID, "ABC_240131_DRIP_A");
+  assert.equal(m[1].CostBasis, 40);
+  assert.equal(m[1].DistPS, 0.5);
+  assert.equal(m[2].TotShr, 102);
+
+  const st   = computeTrancheState(rows);
+  const drip = byId(st.tranches, "ABC_240131_DRIP_A");
+  assert.deepEqual([drip.ShBuy, drip.BuyPx, drip.CostBasis], [2, 20, 40]);
+  assert.equal(st.incMap.ABC_240102_A, 150);
+  assert.equal(st.incMap.ABC_240131_DRIP_A, 2);
+});
+
+test("holdingTerm: long only after more than a year", () => {
+  const buy = new Date(2023, 2, 15);
+
+  assert.equal(holdingTerm(buy, new Date(2024, 2, 15)), "Short");
+  assert.equal(holdingTerm(buy, new Date(2024, 2, 16)), "Long");
+  assert.equal(holdingTerm("", new Date(2024, 2, 16)), "");
+});
+
+test("computeTrancheState: ROC past zero basis is reported as excess", () => {
+  const rows = withMetrics(ledger("ledger-roc.json").concat([
+    { date: new Date(2024, 3, 30), type: "dividend", sym: "ABC", dist: 5000, rocPct: 1 }
+  ]));
+  const st = computeTrancheState(rows);
+
+  // 50 of 150 shares: 5000 × ⅓ against 500 − 30 of open basis left
+  const a = st.excessRoc.find(e => e.TrID === "ABC_240102_A");
+  assert.ok(Math.abs(a.BasisLeft - 470) < 1e-9);
+  assert.ok(Math.abs(a.ExcessROC - (5000 / 3 - 470)) < 1e-9);
+  assert.ok(Math.abs(st.rocMap.ABC_240102_A - 530) < 1e-9);
+});
+
+test("buildTrancheStateRows: AdjBasis nets the open shares' ROC from their cost", () => {
+  const st   = computeTrancheState(withMetrics(ledger("ledger-roc.json")));
+  const rows = buildTrancheStateRows(st, {
+    priceOf: () => 12,
+    today:   new Date(2024, 3, 11)
+  });
+  const a = rows.find(r => r.ID === "ABC_240102_A");
+
+  assert.equal(a.ShRem, 50);
+  assert.equal(a.AdjBasis, 470);
+  assert.equal(a.MktValue, 600);
+  assert.equal(a.UnrealizedGainLoss, 130);
+  assert.equal(a.HeldDays, 100);
+});
+
+test("buildTrancheStateRows: AdjBasis and UnrealizedGainLoss cover the open shares only", () => {
+  const rows = withMetrics([
+    { date: new Date(2024, 0, 2), type: "buy",      sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2024, 1, 1), type: "sell",     sym: "ABC", shr: 90,  price: 10 },
+    { date: new Date(2024, 2, 1), type: "dividend", sym: "ABC", dist: 500, rocPct: 1 }
+  ]);
+  const [row] = buildTrancheStateRows(computeTrancheState(rows), {
+    priceOf: () => 10,
+    today:   new Date(2024, 2, 15)
+  });
+
+  assert.equal(row.ExcessROC, 400);
+  assert.equal(row.AdjBasis, 0);
+  assert.equal(row.UnrealizedGainLoss, 100);
+  assert.equal(row.PctToExit, 0);
+});
+
+test("aggregateIncomeWeeks: weekly totals and calendar-year YTD", () => {
+  const rows = aggregateIncomeWeeks([
+    { wk: "2024-01-29", sym: "ABC", dist: 50, rocAmt: 30, inc: 20 },
+    { wk: "2024-01-29", sym: "XYZ", dist: 10, rocAmt: 0,  inc: "" },
+    { wk: "2024-02-26", sym: "ABC", dist: 100, rocAmt: 60, inc: 40 }
+  ]);
+
+  const last = rows[rows.length - 1];
+  assert.equal(rows[0].DistWkTot, 60);
+  assert.equal(rows.find(r => r.Sym === "XYZ").Inc, 10);
+  assert.equal(last.Sym, "ABC");
+  assert.equal(last.DistYTD, 150);
+  assert.equal(last.DistYtdAll, 160);
+});
+
+test("aggregateIncomeWeeks: reinvested dividends count as Reinv, the rest as Cash", () => {
+  const rows = aggregateIncomeWeeks([
+    { wk: "2024-01-29", sym: "ABC", dist: 50,  rocAmt: 0, inc: 50,  reinv: 40 },
+    { wk: "2024-02-26", sym: "ABC", dist: 102, rocAmt: 0, inc: 102, reinv: "" }
+  ]);
+
+  assert.deepEqual(
+    rows.map(r => [r.Wk, r.Dist, r.Cash, r.Reinv, r.CashYTD, r.ReinvYTD]),
+    [
+      ["2024-01-29", 50,  10,  40, 10,  40],
+      ["2024-02-26", 102, 102, 0,  112, 40]
+    ]
+  );
+});
+
+test("reconcile1099: per-year rows flag drift past the tolerance", () => {
+  const broker = [
+    { sym: "ABC", taxYear: 2024, box1a: 40,  box1b: 10, box3: 60 },
+    { sym: "DEF", taxYear: 2024, box1a: 100, box1b: 0,  box3: 0 }
+  ];
+  const divs = [
+    { date: new Date(2024, 2, 28), sym: "ABC", dist: 100,   rocAmt: 60, inc: 40 },
+    { date: new Date(2024, 5, 28), sym: "def", dist: 100.5, rocAmt: 0,  inc: "" }
+  ];
+
+  const rows = reconcile1099(broker, divs);
+  assert.deepEqual(rows.map(r => [r.TaxYr, r.Sym, r.Flag]), [
+    [2024, "ABC", ""],
+    [2024, "DEF", ""]
+  ]);
+  assert.equal(rows[1].LedgerInc, 100.5);
+  assert.ok(Math.abs(rows[1].IncDiffPct - 0.005) < 1e-12);
+
+  const strict = reconcile1099(broker, divs, { tolerancePct: 0.001 });
+  assert.equal(strict[1].Flag, "⚠️ Inc, Dist off > 0.10%");
+});
+
+test("reconcile1099: broker-only and ledger-only rows are both reported", () => {
+  const rows = reconcile1099(
+    [{ sym: "XYZ", taxYear: 2024, box1a: 100, box1b: 0, box3: 0 }],
+    [{ date: new Date(2023, 11, 29), sym: "ABC", dist: 50, rocAmt: 30, inc: 20 }]
+  );
+
+  assert.deepEqual(rows.map(r => [r.TaxYr, r.Sym, r.Flag]), [
+    [2023, "ABC", "⚠️ No 1099 row"],
+    [2024, "XYZ", "⚠️ Inc, Dist off > 1.00%"]
+  ]);
+  assert.equal(rows[0].LedgerROC, 30);
+  assert.equal(rows[0].RocDiffPct, "");
+  assert.equal(rows[1].IncDiff, -100);
+  assert.equal(rows[1].RocDiff, 0);
+});
+
+test("planRocReclass: a blank estimate is kept as 0 so rollback restores it", () => {
+  const rows = [
+    { type: "dividend", date: new Date(2024, 2, 1), sym: "ABC", rocPct: "",  rocPctEst: "" },
+    { type: "dividend", date: new Date(2024, 5, 1), sym: "ABC", rocPct: 0.4, rocPctEst: "" },
+    { type: "dividend", date: new Date(2024, 8, 1), sym: "ABC", rocPct: 0.7, rocPctEst: 0.4 }
+  ];
+  const changes = planRocReclass(rows, [{ sym: "ABC", taxYear: 2024, rocPct: 0.7 }]);
+
+  assert.deepEqual(changes, [
+    { index: 0, rocPct: 0.7, rocPctEst: 0 },
+    { index: 1, rocPct: 0.7, rocPctEst: 0.4 }
+  ]);
+});
+
+/** Fixture rows numbered as sheet rows (header is row 1). */
+const sheetRows = rows => rows.map((r, i) => Object.assign({ row: i + 2 }, r));
+
+test("findLedgerIssues: a clean fixture ledger has no issues", () => {
+  assert.deepEqual(findLedgerIssues(sheetRows(ledger("ledger-trades.json"))), []);
+  assert.deepEqual(findLedgerIssues(sheetRows(ledger("ledger-roc.json"))), []);
+});
+
+test("findLedgerIssues: oversells are blocking errors on Shr", () => {
+  const rows = sheetRows([
+    { date: new Date(2024, 0, 2), type: "buy",  sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2024, 1, 1), type: "sell", sym: "ABC", shr: 130, price: 11 },
+    { date: new Date(2024, 0, 5), type: "buy",  sym: "XYZ", shr: 10,  price: 50 },
+    { date: new Date(2024, 1, 5), type: "sell", sym: "XYZ", shr: 12,  price: 55,
+      tidOverride: "XYZ_240105_A" }
+  ]);
+
+  assert.deepEqual(
+    findLedgerIssues(rows).filter(i => i.Severity === "Error"),
+    [
+      { Row: 3, Column: "Shr", Severity: "Error", Value: 130,
+        Problem: "Sell exceeds open shares in the symbol's open tranches by 30" },
+      { Row: 5, Column: "Shr", Severity: "Error", Value: 12,
+        Problem: "Sell exceeds open shares in XYZ_240105_A by 2" }
+    ]
+  );
+});
+
+test("findLedgerIssues: missing or unparseable dates and unknown types", () => {
+  const rows = sheetRows([
+    { date: new Date(2024, 0, 2),       type: "buy",      sym: "ABC", shr: 100, price: 10 },
+    { date: "",                         type: "buy",      sym: "ABC", shr: 10,  price: 10 },
+    { date: new Date("not a date"),     type: "dividend", sym: "ABC", dist: 5 },
+    { date: new Date(2024, 1, 1),       type: "transfer", sym: "ABC", shr: 10 },
+    { date: new Date(2024, 1, 2),       type: "buy",      sym: "ABC", shr: NaN, price: 10 }
+  ]);
+
+  assert.deepEqual(
+    findLedgerIssues(rows).map(i => [i.Row, i.Column, i.Severity, i.Problem.split(";")[0]]),
+    [
+      [3, "Date",  "Error", "Missing or unparseable date"],
+      [4, "Date",  "Error", "Missing or unparseable date"],
+      [5, "Type",  "Error", "Unknown type"],
+      [6, "Shr",   "Error", "Not a number"],
+      [6, "Shr",   "Error", "A buy needs a positive share count"]
+    ]
+  );
+});
+
+test("detectWashSales: a tranche sold in the same loss sale is not a replacement", () => {
+  const rows = withMetrics([
+    { date: new Date(2024, 0, 2),  type: "buy",  sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2024, 1, 20), type: "buy",  sym: "ABC", shr: 50,  price: 9 },
+    { date: new Date(2024, 2, 1),  type: "sell", sym: "ABC", shr: 150, price: 8 }
+  ]);
+  const wash = detectWashSales(computeTrancheState(rows));
+
+  assert.deepEqual(wash.washSales, []);
+  assert.deepEqual(wash.lots.map(l => [l.WashDisallowed, l.TaxableGain]), [[0, -200], [0, -50]]);
+  assert.deepEqual(wash.openAdj, {});
+});
+
+test("detectWashSales: shares left after the sale, or bought after it, still replace", () => {
+  const rows = withMetrics([
+    { date: new Date(2024, 0, 2),  type: "buy",  sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2024, 1, 20), type: "buy",  sym: "ABC", shr: 50,  price: 9 },
+    { date: new Date(2024, 2, 1),  type: "sell", sym: "ABC", shr: 120, price: 8 },
+    { date: new Date(2024, 2, 10), type: "buy",  sym: "ABC", shr: 40,  price: 8.5 }
+  ]);
+  const wash = detectWashSales(computeTrancheState(rows));
+
+  // ABC_240102_A loses $2/share on 100; 30 left in ABC_240220_A, then 40 bought 3/10
+  assert.deepEqual(
+    wash.washSales.map(w => [w.SoldTrID, w.ReplTrID, w.ReplShr, w.Disallowed]),
+    [
+      ["ABC_240102_A", "ABC_240220_A", 30, 60],
+      ["ABC_240102_A", "ABC_240310_A", 40, 80]
+    ]
+  );
+  // ABC_240220_A's 20 shares sold alongside carry none of it
+  assert.deepEqual(wash.lots.map(l => l.WashBasisAdj), [0, 0]);
+  assert.equal(wash.openAdj.ABC_240220_A, 60);
+  assert.equal(wash.openAdj.ABC_240310_A, 80);
+});
+
+test("findLedgerIssues: an account missing from the Accounts sheet is a warning", () => {
+  const rows = sheetRows([
+    { date: new Date(2024, 0, 2), type: "buy", sym: "ABC", shr: 10, price: 10, account: "Brokerage" },
+    { date: new Date(2024, 0, 3), type: "buy", sym: "ABC", shr: 10, price: 10, account: "Fidelity" }
+  ]);
+
+  assert.deepEqual(findLedgerIssues(rows, { treatments: { Brokerage: "taxable" } }), [
+    { Row: 3, Column: "Account", Severity: "Warning", Value: "Fidelity",
+      Problem: "Account is not on the Accounts sheet; treated as taxable" }
+  ]);
+  assert.deepEqual(findLedgerIssues(rows), []);
+});
+
+/** The same symbol held in a taxable account and an IRA. */
+const twoAccounts = () => [
+  { date: new Date(2024, 0, 2),  type: "buy",      sym: "ABC", shr: 100, price: 10, account: "Brokerage" },
+  { date: new Date(2024, 0, 10), type: "buy",      sym: "ABC", shr: 100, price: 12, account: "Schwab IRA" },
+  { date: new Date(2024, 0, 31), type: "dividend", sym: "ABC", dist: 20, rocPct: 0.5, account: "Schwab IRA" },
+  { date: new Date(2024, 1, 15), type: "sell",     sym: "ABC", shr: 50,  price: 11, account: "Schwab IRA" }
+];
+
+test("computeLedgerMetrics: lots, dividends and sells stay in their own account", () => {
+  const m = computeLedgerMetrics(twoAccounts());
+
+  assert.deepEqual(m.map(o => o.TrID), [
+    "BROKERAGE_ABC_240102_A", "SCHWABIRA_ABC_240110_A", "", "SCHWABIRA_ABC_240110_A"
+  ]);
+  // FIFO would pick the older Brokerage lot if accounts were pooled
+  assert.equal(m[3].LotAlloc, "SCHWABIRA_ABC_240110_A:50");
+  assert.deepEqual(m.map(o => o.TotShr), [100, 100, 100, 50]);
+
+  const st = computeTrancheState(withMetrics(twoAccounts()));
+  assert.deepEqual(st.tranches.map(t => [t.ID, t.Account, t.ShSold]), [
+    ["BROKERAGE_ABC_240102_A", "Brokerage", 0],
+    ["SCHWABIRA_ABC_240110_A", "Schwab IRA", 50]
+  ]);
+  assert.deepEqual(st.rocMap, { SCHWABIRA_ABC_240110_A: 10 });
+  assert.deepEqual(st.realized.map(r => r.Account), ["Schwab IRA"]);
+});
+
+test("aggregateIncomeWeeks: IRA distributions go to Sheltered, not Inc or Roc", () => {
+  const treatments = { "Brokerage": "taxable", "Schwab IRA": "ira", "Roth": "roth" };
+  assert.equal(isTaxableAccount("Brokerage", treatments), true);
+  assert.equal(isTaxableAccount("", treatments), true);
+  assert.equal(isTaxableAccount("Unlisted", treatments), true);
+  assert.equal(isTaxableAccount(" Schwab IRA ", treatments), false);
+  assert.equal(isTaxableAccount("Roth", treatments), false);
+
+  const rows = aggregateIncomeWeeks([
+    { wk: "2024-01-29", sym: "ABC", account: "Schwab IRA", dist: 20, rocAmt: 10, inc: 10 },
+    { wk: "2024-01-29", sym: "ABC", account: "Brokerage",  dist: 30, rocAmt: 6,  inc: 24 }
+  ].map(d => Object.assign(d, { taxable: isTaxableAccount(d.account, treatments) })));
+
+  const ira = rows.find(r => r.Account === "Schwab IRA");
+  const brk = rows.find(r => r.Account === "Brokerage");
+  assert.deepEqual([ira.Dist, ira.Inc, ira.Roc, ira.Sheltered], [20, 0, 0, 20]);
+  assert.deepEqual([brk.Dist, brk.Inc, brk.Roc, brk.Sheltered], [30, 24, 6, 0]);
+  assert.equal(brk.DistWkTot, 50);
+  assert.equal(brk.IncWkTot, 24);
+});
+
+test("isStalePrice: older than the limit, or with no usable LastUpdate", () => {
+  const now = new Date(2024, 5, 4, 12);
+
+  assert.equal(isStalePrice(new Date(2024, 5, 1, 13), now, 72), false);
+  assert.equal(isStalePrice(new Date(2024, 5, 1, 11), now, 72), true);
+  assert.equal(isStalePrice("", now, 72), true);
+  assert.equal(isStalePrice("not a date", now, 72), true);
+});
+
+test("buildTrancheStateRows: open tranches without a price show NoPrice, not a loss", () => {
+  const st   = computeTrancheState(withMetrics(ledger("ledger-trades.json")));
+  const rows = buildTrancheStateRows(st, {
+    priceOf:        sym => (sym === "ABC" ? null : 95),
+    priceUpdatedOf: () => new Date(2024, 5, 3),
+    today:          new Date(2024, 5, 4)
+  });
+  const open   = rows.find(r => r.ID === "ABC_240201_A");
+  const closed = rows.find(r => r.ID === "XYZ_240105_A");
+
+  assert.deepEqual(
+    [open.CurrPx, open.StalePx, open.MktValue, open.UnrealizedGainLoss, open.PctToExit],
+    ["NoPrice", "NoPrice", "", "", ""]
+  );
+  assert.equal(open.AdjBasis, 600);
+  assert.deepEqual([closed.CurrPx, closed.StalePx, closed.MktValue], [95, "", 0]);
+});
+
+test("snapshotTrancheState: TOTAL AdjBasis counts only shares still held", () => {
+  const rows = withMetrics(ledger("ledger-roc.json"));
+  const snap = snapshotTrancheState(buildTrancheStateRows(computeTrancheState(rows), {
+    priceOf: () => 12,
+    today:   new Date(2024, 3, 1)
+  }), "2024-04-01");
+  const col  = k => STATE_HISTORY_KEYS.indexOf(k);
+  const total = snap[snap.length - 1];
+
+  // ABC_240102_A: 500 − 30 left on 50 shares; ABC_240215_A: 1100 − 30
+  assert.equal(total[col("ID")], "TOTAL");
+  assert.equal(total[col("AdjBasis")], 470 + 1070);
+  assert.equal(total[col("MktValue")], 150 * 12);
+  assert.equal(total[col("UnrealizedGainLoss")], 1800 - 1540);
+});
+
+/** 100 ABC bought 2023-01-03, then $0.10/share on the 15th of each listed month. */
+function monthlyPayer(months) {
+  return withMetrics([{ date: new Date(2023, 0, 3), type: "buy", sym: "ABC", shr: 100, price: 10 }]
+    .concat(months.map(([y, m]) => ({ date: new Date(y, m, 15), type: "dividend", sym: "ABC", dist: 10, rocPct: 0 }))));
+}
+const monthsFrom = (y, m, n) => Array.from({ length: n }, (_, i) => [y + Math.floor((m + i) / 12), (m + i) % 12]);
+const annualDistOn = (rows, today) =>
+  buildTrancheStateRows(computeTrancheState(rows), { priceOf: () => 10, today })[0].AnnualDist;
+
+test("buildTrancheStateRows: a monthly payer's AnnualDist does not depend on the day of the month", () => {
+  const rows = monthlyPayer(monthsFrom(2023, 0, 15));   // Jan 2023 – Mar 2024
+
+  [new Date(2024, 2, 10), new Date(2024, 2, 16), new Date(2024, 3, 14)].forEach(today =>
+    assert.ok(Math.abs(annualDistOn(rows, today) - 120) < 1e-9, String(today)));
+});
+
+test("buildTrancheStateRows: a new monthly holding shows the full run rate", () => {
+  assert.ok(Math.abs(annualDistOn(monthlyPayer(monthsFrom(2023, 0, 2)), new Date(2023, 1, 20)) - 120) < 1e-9);
+});
+
+test("buildTrancheStateRows: missed payments count as zero in AnnualDist", () => {
+  // Six payments Jan–Jun 2023, nothing since; by Oct 20 Jul–Sep count as
+  // missed (the latest due date gets a period of grace)
+  const rate = annualDistOn(monthlyPayer(monthsFrom(2023, 0, 6)), new Date(2023, 9, 20));
+  assert.ok(Math.abs(rate - 100 * 0.6 / 9 * 12) < 1e-9);
+});
+
+test("YieldOnAdjBasis divides by the open shares' basis, like YieldOnCost", () => {
+  const rows  = buildTrancheStateRows(computeTrancheState(withMetrics(ledger("ledger-roc.json"))), {
+    priceOf: () => 12,
+    today:   new Date(2024, 2, 20)
+  });
+  const partial = rows.find(r => r.ID === "ABC_240102_A");
+
+  assert.ok(partial.AnnualDist > 0);
+  assert.ok(Math.abs(partial.YieldOnCost - partial.AnnualDist / 500) < 1e-12);
+  assert.ok(Math.abs(partial.YieldOnAdjBasis - partial.AnnualDist / 470) < 1e-12);
+
+  const [abc] = rollupYieldBySymbol(rows);
+  assert.equal(abc.OpenCost, 500 + 1100);
+  assert.equal(abc.AdjBasis, 470 + 1070);
+  assert.ok(Math.abs(abc.YieldOnAdjBasis - abc.AnnualDist / 1540) < 1e-12);
+});
+
+test("xirr: −1000 then +1100 a year later is 10%", () => {
+  const rate = xirr([
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 1), amount: 1100 }
+  ]);
+  assert.ok(Math.abs(rate - 0.1) < 1e-8);
+});
+
+test("xirr: NaN without a sign change or when no rate up to 1e4 balances the flows", () => {
+  assert.ok(isNaN(xirr([
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 1), amount: -100 }
+  ])));
+  assert.ok(isNaN(xirr([{ date: new Date(2023, 0, 1), amount: 500 }])));
+  // Needs r ≈ 1e6 (a millionfold in a year); the bracket stops at hi = 1e4
+  assert.ok(isNaN(xirr([
+    { date: new Date(2023, 0, 1), amount: -1 },
+    { date: new Date(2024, 0, 1), amount: 1e6 }
+  ])));
+});
+
+const paybackOn = (rows, today) =>
+  buildTrancheStateRows(computeTrancheState(rows), { priceOf: () => 10, today })[0].PaybackDt;
+
+test("buildTrancheStateRows: PaybackDt is the day distributions reached cost", () => {
+  const rows = withMetrics([
+    { date: new Date(2023, 0, 2),   type: "buy",      sym: "ABC", shr: 100, price: 10 },
+    { date: new Date(2023, 5, 15),  type: "dividend", sym: "ABC", dist: 600, rocPct: 1 },
+    { date: new Date(2023, 11, 15), type: "dividend", sym: "ABC", dist: 500, rocPct: 1 }
+  ]);
+  assert.deepEqual(paybackOn(rows, new Date(2024, 0, 10)), new Date(2023, 11, 15));
+});
+
+test("buildTrancheStateRows: PaybackDt is blank when nothing is being paid", () => {
+  const rows = withMetrics([
+    { date: new Date(2023, 0, 2), type: "buy", sym: "ABC", shr: 100, price: 10 }
+  ]);
+  assert.equal(paybackOn(rows, new Date(2024, 0, 10)), "");
+});
+
+test("buildTrancheStateRows: PaybackDt projects the shortfall at the AnnualDist pace", () => {
+  const today = new Date(2024, 0, 10);
+  // $120 a year on $1,000: 880 still to come
+  const expected = new Date(today.getTime() + 880 / 120 * 365.25 * 86400000);
+  const got      = paybackOn(monthlyPayer(monthsFrom(2023, 0, 12)), today);
+  assert.ok(Math.abs(got - expected) < 1000, String(got));
+});
+
+test("makePriceLookup: close, then ledger price, then current price", () => {
+  const priceAt = makePriceLookup(
+    [["2024-01-05", "ABC", 11]],
+    [
+      { date: new Date(2024, 0, 3), type: "buy",  sym: "ABC", shr: 10, price: 10 },
+      { date: new Date(2024, 0, 5), type: "sell", sym: "abc", shr: 5,  price: 10.5 }
+    ],
+    sym => (sym === "ABC" ? 12 : null),
+    new Date(2024, 1, 1)
+  );
+  assert.equal(priceAt("ABC", new Date(2024, 0, 4)), 10);    // ledger buy price
+  assert.equal(priceAt("ABC", new Date(2024, 0, 5)), 11);    // close wins the tie with the sell
+  assert.equal(priceAt("ABC", new Date(2024, 0, 20)), 11);   // latest on or before
+  assert.equal(priceAt("ABC", new Date(2024, 0, 2)), 12);    // nothing earlier: current
+  assert.equal(priceAt("ABC", new Date(2024, 1, 1)), 12);    // today: current
+  assert.ok(isNaN(priceAt("XYZ", new Date(2024, 0, 4))));
+});
+
+test("makePriceLookup: observations before a split are divided by its ratio", () => {
+  const priceAt = makePriceLookup(
+    [["2024-01-05", "ABC", 20]],
+    [{ date: new Date(2024, 0, 10), type: "split", sym: "ABC", ratio: "2:1" }],
+    () => null,
+    new Date(2024, 1, 1)
+  );
+  assert.equal(priceAt("ABC", new Date(2024, 0, 9)), 20);
+  assert.equal(priceAt("ABC", new Date(2024, 0, 10)), 10);
+});
+
+const windowOf = (rows, priceAt, start, end) =>
+  computeWindowReturns(rows, { priceAt, start, end, sym: "" });
+
+test("computeWindowReturns: holdings at the start enter as a flow", () => {
+  const start = new Date(2023, 0, 1);
+  const end   = new Date(2024, 0, 1);
+  const r = windowOf(
+    [{ date: new Date(2022, 5, 1), type: "buy", sym: "ABC", shr: 100, price: 8 }],
+    (sym, d) => (d < end ? 10 : 11),
+    start, end
+  );
+  assert.equal(r.StartValue, 1000);
+  assert.equal(r.Bought, 0);
+  assert.equal(r.EndValue, 1100);
+  assert.equal(r.Gain, 100);
+  assert.ok(Math.abs(r.XIRR - 0.1) < 1e-6);
+  assert.ok(Math.abs(r.TWR - 0.1) < 1e-9);
+});
+
+test("computeWindowReturns: a split inside the window is not a return", () => {
+  const split = new Date(2023, 5, 1);
+  const r = windowOf(
+    [
+      { date: new Date(2022, 5, 1), type: "buy",   sym: "ABC", shr: 100, price: 8 },
+      { date: split,                type: "split", sym: "ABC", ratio: "2:1" }
+    ],
+    (sym, d) => (d < split ? 10 : 5),
+    new Date(2023, 0, 1), new Date(2024, 0, 1)
+  );
+  assert.equal(r.StartValue, 1000);
+  assert.equal(r.EndValue, 1000);
+  assert.equal(r.Sold, 0);
+  assert.ok(Math.abs(r.TWR) < 1e-9);
+});
+
+test("computeWindowReturns: reinvested distributions count in Distributions but not CashDist", () => {
+  const r = windowOf(
+    [
+      { date: new Date(2023, 0, 3), type: "buy",      sym: "ABC", shr: 100, price: 10 },
+      { date: new Date(2023, 5, 1), type: "dividend", sym: "ABC", dist: 50, reinvShr: 2, reinvPx: 10 }
+    ],
+    () => 10,
+    new Date(2023, 0, 1), new Date(2024, 0, 1)
+  );
+  assert.equal(r.Bought, 1000);
+  assert.equal(r.Distributions, 50);
+  assert.equal(r.CashDist, 30);
+  assert.equal(r.EndValue, 1020);
+  assert.equal(r.Gain, 50);
+  assert.ok(Math.abs(r.TWR - 0.05) < 1e-9);
+});
+
+test("computeWindowReturns: TWR chains the periods around a mid-window buy", () => {
+  const mid = new Date(2023, 5, 1);
+  const end = new Date(2024, 0, 1);
+  const r = windowOf(
+    [
+      { date: new Date(2022, 5, 1), type: "buy", sym: "ABC", shr: 100, price: 8 },
+      { date: mid,                  type: "buy", sym: "ABC", shr: 100, price: 12 }
+    ],
+    (sym, d) => (d < mid ? 10 : d < end ? 12 : 9),
+    new Date(2023, 0, 1), end
+  );
+  // 1000 → 1200 (+20%), then 2400 → 1800 (−25%)
+  assert.equal(r.Bought, 1200);
+  assert.equal(r.EndValue, 1800);
+  assert.equal(r.Gain, -400);
+  assert.ok(Math.abs(r.TWR - (1.2 * 0.75 - 1)) < 1e-9);
+});
+
+test("aggregateIncomePeriods: a symbol that stops paying gets a zero row for the next period", () => {
+  const div = (y, m, sym, dist) => ({ date: new Date(y, m, 15), sym, account: "", dist, rocAmt: 0, inc: dist });
+  const rows = aggregateIncomePeriods([
+    div(2024, 0, "ABC", 50),
+    div(2024, 0, "XYZ", 20),
+    div(2024, 1, "XYZ", 25),
+    div(2024, 2, "XYZ", 30)
+  ], "month");
+
+  assert.deepEqual(
+    rows.map(r => [r.Period, r.Sym, r.Dist, r.DistChg, r.DistChgPct]),
+    [
+      ["2024-01", "ABC", 50, 50, ""],
+      ["2024-01", "XYZ", 20, 20, ""],
+      ["2024-02", "ABC", 0, -50, -1],
+      ["2024-02", "XYZ", 25, 5, 0.25],
+      ["2024-03", "XYZ", 30, 5, 0.2]
+    ]
+  );
+  assert.equal(rows[2].DistAll, 25);
+  assert.equal(rows[2].DistAllChg, -45);
+});
+
+test("parseRate: decimals, percents, and bare numbers of 1 or more as percents", () => {
+  assert.equal(parseRate(0.22), 0.22);
+  assert.equal(parseRate("0.22"), 0.22);
+  assert.equal(parseRate("22%"), 0.22);
+  assert.equal(parseRate(22), 0.22);
+  assert.equal(parseRate(1), 0.01);
+  assert.equal(parseRate("1"), 0.01);
+  assert.equal(parseRate(0), 0);
+  assert.ok(isNaN(parseRate("")));
+  assert.ok(isNaN(parseRate("n/a")));
+});
+
+test("qualifiedShareFromBroker: Box 1b ÷ Box 1a per symbol and year, capped at 1", () => {
+  assert.deepEqual(qualifiedShareFromBroker([
+    { sym: "abc", taxYear: "2024", box1a: 100, box1b: 60 },
+    { sym: "XYZ", taxYear: 2024,   box1a: 100, box1b: "" },    // form not in yet
+    { sym: "DEF", taxYear: 2024,   box1a: 0,   box1b: 5 },
+    { sym: "GHI", taxYear: 2023,   box1a: 50,  box1b: 80 }
+  ]), { "ABC|2024": 0.6, "GHI|2023": 1 });
+});
+
+const estDiv = (y, m, d, sym, extra) =>
+  Object.assign({ date: new Date(y, m, d), sym, taxable: true, dist: 100, rocAmt: 0, inc: 100 }, extra);
+
+test("estimatedTaxWorksheet: income by period, qualified via QualPct, then BrokerROC, else ordinary", () => {
+  const rows = estimatedTaxWorksheet([
+    estDiv(2024, 2, 31, "ABC", { qualPct: 0.5 }),
+    estDiv(2024, 3, 1,  "ABC"),                                   // broker share 0.75
+    estDiv(2024, 5, 1,  "XYZ"),
+    estDiv(2024, 7, 31, "XYZ", { dist: 120, rocAmt: 20, inc: "" }),
+    estDiv(2024, 8, 1,  "XYZ"),
+    estDiv(2024, 8, 2,  "XYZ", { taxable: false })
+  ], [], {
+    fedOrdinary: 0.25, fedQualified: 0.125, state: 0.5,
+    qualShare: { "ABC|2024": 0.75 },
+    today: new Date(2024, 0, 1)
+  });
+
+  assert.deepEqual(
+    rows.map(r => [r.TaxYr, r.Period, r.OrdInc, r.QualInc, r.FedTax, r.StateTax]),
+    [
+      [2024, 1, 50,  50, 18.75, 50],
+      [2024, 2, 25,  75, 15.625, 50],
+      [2024, 3, 200, 0,  50, 100],
+      [2024, 4, 100, 0,  25, 50]
+    ]
+  );
+  assert.deepEqual(rows[0].From, new Date(2024, 0, 1));
+  assert.deepEqual(rows[2].To, new Date(2024, 7, 31));
+  assert.deepEqual(rows[1].DueDt, new Date(2024, 5, 15));
+  assert.deepEqual(rows[3].DueDt, new Date(2025, 0, 15));
+});
+
+test("estimatedTaxWorksheet: undated payments go to the next period due; NextPayment on the period due next", () => {
+  const rows = estimatedTaxWorksheet([
+    estDiv(2024, 1, 1, "XYZ"),
+    estDiv(2024, 4, 1, "XYZ")
+  ], [
+    { date: new Date(2024, 5, 1),  amount: 10, taxYr: 2024, period: 1 },
+    { date: new Date(2024, 3, 16), amount: 5 },                     // after the P1 due date: P2
+    { date: new Date(2025, 0, 10), amount: 7 }                      // January: prior year's P4
+  ], { fedOrdinary: 0.25, today: new Date(2024, 4, 1) });
+
+  assert.deepEqual(
+    rows.map(r => [r.TaxYr, r.Period, r.Paid, r.Balance, r.NextPayment]),
+    [
+      [2024, 1, 10, 15, ""],
+      [2024, 2, 5,  35, 35],
+      [2024, 3, 0,  35, ""],
+      [2024, 4, 7,  28, ""]
+    ]
+  );
+});